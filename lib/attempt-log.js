@@ -0,0 +1,125 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Log of graded quiz attempts for the admin console, append-only JSON Lines (one line per
+// submission). Each entry keeps the score and, per served question, the bank index and whether it
+// was answered correctly, so statistics can show which questions people fail most.
+//
+// Entry: { attemptId, quiz, name, locale, startedAt, submittedAt, earned, possible, percent, grade,
+//          passed, questions: [{ index, correct, earned, points }] }
+
+function createAttemptLog({ filePath }) {
+    let entries = [];
+    let writeChain = Promise.resolve();
+
+    async function load() {
+        let raw = '';
+        try {
+            raw = await fs.readFile(filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        entries = [];
+        let skipped = 0;
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (_) {
+                skipped++;
+            }
+        }
+        console.log(`[attempts] Loaded ${entries.length} graded attempt(s) from ${filePath}${skipped ? ` (skipped ${skipped} unreadable line(s))` : ''}`);
+    }
+
+    // Record a graded attempt (attempt from the attempt store, grade from gradeAnswers)
+    function record({ attempt, name, grade }) {
+        const entry = {
+            attemptId: attempt.id,
+            quiz: attempt.quizSlug,
+            name,
+            locale: attempt.locale,
+            startedAt: new Date(attempt.createdAt).toISOString(),
+            submittedAt: new Date().toISOString(),
+            earned: grade.earned,
+            possible: grade.possible,
+            percent: grade.percent,
+            grade: grade.grade,
+            passed: grade.passed,
+            questions: attempt.questions.map((served, i) => ({
+                index: served.index,
+                correct: grade.results[i].correct,
+                earned: grade.results[i].earned,
+                points: grade.results[i].points
+            }))
+        };
+        entries.push(entry);
+        writeChain = writeChain.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+        }).catch((e) => {
+            console.error(`[attempts] Failed to persist attempt ${entry.attemptId}: ${e.message}`);
+        });
+        return writeChain;
+    }
+
+    // Newest first, optionally for one quiz
+    function list({ quiz, passed, limit } = {}) {
+        let result = entries.filter((e) => (!quiz || e.quiz === quiz) && (passed === undefined || e.passed === passed)).reverse();
+        if (limit) result = result.slice(0, limit);
+        return result;
+    }
+
+    return { load, record, list };
+}
+
+// Statistics for one quiz: totals plus one row per bank question, the most failed first.
+// Questions are matched by bank index, so counts from before an edit that reorders the bank are
+// attributed to whatever question now sits at that index.
+function summarizeAttempts(quiz, entries) {
+    const rows = quiz.questions.map((q, index) => ({
+        index,
+        question: q.question,
+        section: null,
+        served: 0,
+        correct: 0,
+        failRate: null,
+        averageScore: null
+    }));
+    quiz.sections.forEach((section) => {
+        for (const index of section.indices) rows[index].section = section.name;
+    });
+    const earnedByIndex = new Map();
+    let passed = 0;
+    let percentSum = 0;
+    for (const entry of entries) {
+        if (entry.passed) passed++;
+        percentSum += entry.percent;
+        for (const q of entry.questions) {
+            const row = rows[q.index];
+            if (!row) continue;
+            row.served++;
+            if (q.correct) row.correct++;
+            const sums = earnedByIndex.get(q.index) || { earned: 0, points: 0 };
+            sums.earned += q.earned;
+            sums.points += q.points;
+            earnedByIndex.set(q.index, sums);
+        }
+    }
+    for (const row of rows) {
+        if (row.served === 0) continue;
+        row.failRate = Math.round(((row.served - row.correct) / row.served) * 1000) / 10;
+        const sums = earnedByIndex.get(row.index);
+        row.averageScore = sums.points > 0 ? Math.round((sums.earned / sums.points) * 1000) / 10 : null;
+    }
+    return {
+        attempts: entries.length,
+        passed,
+        passRate: entries.length ? Math.round((passed / entries.length) * 1000) / 10 : null,
+        averagePercent: entries.length ? Math.round((percentSum / entries.length) * 10) / 10 : null,
+        lastAttemptAt: entries.length ? entries[0].submittedAt : null,
+        questions: rows.sort((a, b) => (b.failRate ?? -1) - (a.failRate ?? -1) || a.index - b.index)
+    };
+}
+
+module.exports = { createAttemptLog, summarizeAttempts };
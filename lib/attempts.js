@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { questionType, questionPoints, questionOptions, shufflesOptions } = require('./grading');
+
+// Server-side quiz attempts. Starting an attempt draws questions from the quiz's sections,
+// shuffles options on the server and hands the browser an HMAC-signed token plus answer-free
+// questions; submitting consumes the token once. The attempt remembers which bank questions were
+// served (attempt.questions[i].index) so grading checks exactly those. An attempt may be started in a
+// locale (see localizeQuiz); its questions are then served and kept in that language.
+
+// Fisher-Yates shuffle that returns a new array
+function shuffleArray(items) {
+    const arr = items.slice();
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        const tmp = arr[i];
+        arr[i] = arr[j];
+        arr[j] = tmp;
+    }
+    return arr;
+}
+
+// Pick the bank questions for one attempt: fixed sections in order, pools drawn at random
+function drawQuestions(quiz, sectionNames) {
+    const drawn = [];
+    quiz.sections.forEach((section, s) => {
+        const picks = section.fixed ? section.indices : shuffleArray(section.indices).slice(0, section.draw);
+        for (const index of picks) drawn.push({ index, section: sectionNames ? sectionNames[s] : section.name });
+    });
+    return drawn;
+}
+
+function createAttemptStore({ secret, ttlMs }) {
+    const attempts = new Map();
+
+    const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    // Drop expired attempts now and then so the map does not grow unbounded
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [id, attempt] of attempts) {
+            if (attempt.expiresAt <= now) attempts.delete(id);
+        }
+    }, Math.min(ttlMs, 5 * 60 * 1000));
+    sweep.unref();
+
+    // Start an attempt for a quiz. Returns { token, attempt, questions } where questions are safe to send.
+    // localized is localizeQuiz(quiz, locale); trueFalseLabels replaces "True"/"False".
+    function start(quiz, { localized = null, trueFalseLabels } = {}) {
+        const id = crypto.randomBytes(12).toString('base64url');
+        const expiresAt = Date.now() + ttlMs;
+        const bank = localized ? localized.questions : quiz.questions;
+        const served = drawQuestions(quiz, localized && localized.sectionNames).map(({ index, section }) => {
+            const q = bank[index];
+            const order = questionOptions(q).map((_, optionIndex) => optionIndex);
+            // Keep the question itself so grading is unaffected if the quiz file is edited mid-attempt
+            return { index, section, question: q, optionOrder: shufflesOptions(q) ? shuffleArray(order) : order };
+        });
+        const attempt = {
+            id,
+            quizSlug: quiz.slug,
+            locale: localized ? localized.locale : quiz.locale,
+            createdAt: Date.now(),
+            expiresAt,
+            used: false,
+            questions: served
+        };
+        attempts.set(id, attempt);
+
+        const payload = `${id}.${expiresAt.toString(36)}`;
+        const token = `${payload}.${sign(payload)}`;
+        const questions = served.map((s) => {
+            const q = s.question;
+            const publicQuestion = { type: questionType(q), question: q.question, points: questionPoints(q) };
+            if (s.section) publicQuestion.section = s.section;
+            if (s.optionOrder.length > 0) {
+                const options = questionOptions(q, trueFalseLabels);
+                publicQuestion.options = s.optionOrder.map((originalIndex) => options[originalIndex]);
+            }
+            return publicQuestion;
+        });
+        return { token, attempt, questions };
+    }
+
+    // Look up an attempt by token without consuming it. Returns { attempt } or { error, code }.
+    function check(token, quizSlug) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            return { code: 'attempt_invalid', error: 'Missing or malformed attempt token' };
+        }
+        const [id, expiresPart, signature] = parts;
+        const expected = sign(`${id}.${expiresPart}`);
+        const a = Buffer.from(signature);
+        const b = Buffer.from(expected);
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+            return { code: 'attempt_invalid', error: 'Invalid attempt token' };
+        }
+        if (parseInt(expiresPart, 36) <= Date.now()) {
+            attempts.delete(id);
+            return { code: 'attempt_expired', error: 'This quiz attempt has expired. Please reload the quiz.' };
+        }
+        const attempt = attempts.get(id);
+        if (!attempt) {
+            return { code: 'attempt_expired', error: 'This quiz attempt is no longer available. Please reload the quiz.' };
+        }
+        if (attempt.used) {
+            return { code: 'attempt_used', error: 'This quiz attempt has already been submitted. Please reload the quiz.' };
+        }
+        if (quizSlug && attempt.quizSlug !== quizSlug) {
+            return { code: 'attempt_invalid', error: 'Attempt token does not belong to this quiz' };
+        }
+        return { attempt };
+    }
+
+    // Mark an attempt as submitted so its token cannot be reused
+    function consume(attempt) {
+        attempt.used = true;
+        attempt.submittedAt = Date.now();
+    }
+
+    return { start, check, consume };
+}
+
+module.exports = {
+    shuffleArray,
+    drawQuestions,
+    createAttemptStore
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+
+// Certificate output formats. A filled SVG is rendered to every configured format; the primary
+// format is the one uploaded to the collection, the rest are kept for download.
+//
+// Output options: { formats: ['png', 'pdf', 'svg'], primary: 'png', dpi: 96, pageSize: 'A4' | 'Letter' }
+// Layers (env defaults, template manifest, quiz) are merged with resolveOutputOptions().
+
+const OUTPUT_FORMATS = {
+    png: { extension: 'png', contentType: 'image/png' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    svg: { extension: 'svg', contentType: 'image/svg+xml' }
+};
+
+// Landscape page sizes in PDF points
+const PAGE_SIZES = {
+    A4: [841.89, 595.28],
+    Letter: [792, 612]
+};
+
+// SVG user units are CSS pixels: 96 per inch
+const CSS_DPI = 96;
+
+const PDF_FONT_CANDIDATES = {
+    regular: [
+        process.env.CERT_PDF_FONT,
+        '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+        '/usr/share/fonts/dejavu/DejaVuSans.ttf'
+    ],
+    bold: [
+        process.env.CERT_PDF_FONT_BOLD,
+        '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf',
+        '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf'
+    ]
+};
+
+// Returns a list of problems with an output options object (empty when valid)
+function validateOutputOptions(output, label = 'output') {
+    const errors = [];
+    if (!output || typeof output !== 'object' || Array.isArray(output)) {
+        return [`"${label}" must be an object`];
+    }
+    if (output.formats !== undefined) {
+        if (!Array.isArray(output.formats) || output.formats.length === 0 || !output.formats.every((f) => OUTPUT_FORMATS[f])) {
+            errors.push(`"${label}.formats" must be a non-empty array of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+        }
+    }
+    if (output.primary !== undefined && !OUTPUT_FORMATS[output.primary]) {
+        errors.push(`"${label}.primary" must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+    if (output.dpi !== undefined && (!Number.isInteger(output.dpi) || output.dpi < 72 || output.dpi > 1200)) {
+        errors.push(`"${label}.dpi" must be a whole number between 72 and 1200`);
+    }
+    if (output.pageSize !== undefined && !PAGE_SIZES[output.pageSize]) {
+        errors.push(`"${label}.pageSize" must be one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+    }
+    return errors;
+}
+
+// Merge option layers, later ones winning. The primary format is always rendered.
+function resolveOutputOptions(...layers) {
+    const merged = { formats: ['png'], primary: null, dpi: CSS_DPI, pageSize: 'A4' };
+    for (const layer of layers) {
+        if (!layer) continue;
+        for (const key of Object.keys(merged)) {
+            if (layer[key] !== undefined && layer[key] !== null) merged[key] = layer[key];
+        }
+    }
+    const primary = merged.primary || merged.formats[0];
+    const formats = [...new Set([primary, ...merged.formats])];
+    return { formats, primary, dpi: merged.dpi, pageSize: merged.pageSize };
+}
+
+// Width/height of the SVG canvas in user units (percentage sizes fall back to the viewBox)
+function svgSize(svg) {
+    const root = (svg.match(/<svg\b[^>]*>/i) || [''])[0];
+    const attr = (name) => {
+        const m = root.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'));
+        return m ? m[1] : null;
+    };
+    const viewBox = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const fromViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite) ? viewBox : null;
+    const dimension = (value, index) => {
+        if (value && /^[\d.]+(px)?$/.test(value)) return parseFloat(value);
+        return fromViewBox ? fromViewBox[index] : (index === 2 ? 800 : 600);
+    };
+    return { width: dimension(attr('width'), 2), height: dimension(attr('height'), 3) };
+}
+
+// Strip the XML declaration/DOCTYPE and replace percentage sizes with the canvas size,
+// which renderers need to pick an output size
+function normalizeSvg(svg) {
+    let out = svg.replace(/<\?xml[\s\S]*?\?>/i, '').replace(/<!DOCTYPE[\s\S]*?>/i, '');
+    const { width, height } = svgSize(out);
+    out = out.replace(/(<svg\b[^>]*?\s)width="[\d.]+%"/i, `$1width="${width}"`)
+        .replace(/(<svg\b[^>]*?\s)height="[\d.]+%"/i, `$1height="${height}"`);
+    return out;
+}
+
+// PNG at the given DPI (96 renders one pixel per SVG unit); the DPI is written to the pHYs chunk
+function renderPng(svg, { dpi }) {
+    // sharp renders SVG at 72 DPI by default
+    return sharp(Buffer.from(svg), { density: 72 * dpi / CSS_DPI })
+        .withMetadata({ density: dpi })
+        .png()
+        .toBuffer();
+}
+
+function firstExisting(paths) {
+    return paths.find((p) => p && fs.existsSync(p)) || null;
+}
+
+// Vector PDF on a landscape page, the certificate scaled to fit and centred
+function renderPdf(svg, { pageSize, title }) {
+    return new Promise((resolve, reject) => {
+        const [pageWidth, pageHeight] = PAGE_SIZES[pageSize];
+        const doc = new PDFDocument({ size: [pageWidth, pageHeight], margin: 0, info: { Title: title || 'Certificate' } });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Use DejaVu when installed so names outside Latin-1 survive; otherwise PDF standard fonts
+        const regularFont = firstExisting(PDF_FONT_CANDIDATES.regular);
+        const boldFont = firstExisting(PDF_FONT_CANDIDATES.bold) || regularFont;
+        if (regularFont) doc.registerFont('CertSans', regularFont);
+        if (boldFont) doc.registerFont('CertSans-Bold', boldFont);
+        const fontCallback = (family, bold) => {
+            if (regularFont) return bold ? 'CertSans-Bold' : 'CertSans';
+            return bold ? 'Helvetica-Bold' : 'Helvetica';
+        };
+
+        const { width, height } = svgSize(svg);
+        const scale = Math.min(pageWidth / width, pageHeight / height);
+        try {
+            SVGtoPDF(doc, svg, (pageWidth - width * scale) / 2, (pageHeight - height * scale) / 2, {
+                width: width * scale,
+                height: height * scale,
+                preserveAspectRatio: 'xMidYMid meet',
+                fontCallback,
+                warningCallback: (message) => console.warn(`[pdf] ${message}`)
+            });
+            doc.end();
+        } catch (e) {
+            reject(e);
+        }
+    });
+}
+
+// Render the filled SVG to every requested format. Returns { [format]: Buffer }.
+async function renderFormats(svg, { formats, dpi, pageSize, title }) {
+    const prepared = normalizeSvg(svg);
+    const files = {};
+    for (const format of formats) {
+        if (format === 'png') files.png = await renderPng(prepared, { dpi });
+        else if (format === 'pdf') files.pdf = await renderPdf(prepared, { pageSize, title });
+        else if (format === 'svg') files.svg = Buffer.from(prepared, 'utf8');
+    }
+    return files;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    PAGE_SIZES,
+    validateOutputOptions,
+    resolveOutputOptions,
+    normalizeSvg,
+    renderFormats
+};
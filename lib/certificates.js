@@ -0,0 +1,230 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { localizeQuiz } = require('./quiz-catalog');
+const { OUTPUT_FORMATS, resolveOutputOptions, renderFormats } = require('./certificate-output');
+const { loadTemplateManifest, manifestValues, applyTemplatePlaceholders, templatePlaceholders } = require('./templates');
+const { DEFAULT_LOCALE, textDirection, formatDate } = require('./i18n');
+const { generateCertificateId } = require('./registry');
+
+// Certificate rendering shared by the web server and the bulk issuance CLI (scripts/issue-bulk.js):
+// template loading, placeholder filling and output rendering, plus the name rules every issuance uses.
+
+async function withTimeout(promise, ms, label) {
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`Timeout after ${ms}ms${label ? ` (${label})` : ''}`)), ms);
+    });
+    try {
+        const result = await Promise.race([promise, timeoutPromise]);
+        clearTimeout(timeoutId);
+        return result;
+    } catch (e) {
+        clearTimeout(timeoutId);
+        throw e;
+    }
+}
+
+function sanitizeUserName(input) {
+    if (input === undefined || input === null) return '';
+    const normalized = String(input).normalize('NFKC');
+    // Allow letters, numbers, space and a small set of punctuation typical in names
+    const stripped = normalized.replace(/[^\p{L}\p{N} .,'-]/gu, '');
+    const collapsed = stripped.replace(/\s+/g, ' ').trim();
+    return collapsed.slice(0, 80);
+}
+
+// Learner email address: '' when not given, null when not a plausible address
+function normalizeEmail(input) {
+    if (input === undefined || input === null) return '';
+    const trimmed = String(input).trim();
+    if (trimmed === '') return '';
+    if (trimmed.length > 254 || !/^[^\s@<>(),;:"\\]+@[^\s@<>(),;:"\\]+\.[^\s@<>(),;:"\\.]{2,}$/.test(trimmed)) return null;
+    return trimmed;
+}
+
+// SHA-256 of the primary file and of every rendered format, as stored in the registry
+function certificateHashes(files, primary) {
+    const formatHashes = Object.fromEntries(Object.entries(files).map(([format, buffer]) =>
+        [format, crypto.createHash('sha256').update(buffer).digest('hex')]));
+    return { sha256: formatHashes[primary], formatHashes };
+}
+
+// Write every rendered format to dir as <baseName>.<ext>
+async function writeCertificateFiles(dir, baseName, files) {
+    await fs.mkdir(dir, { recursive: true });
+    for (const [format, buffer] of Object.entries(files)) {
+        await fs.writeFile(path.join(dir, `${baseName}.${OUTPUT_FORMATS[format].extension}`), buffer);
+    }
+}
+
+// Returns { generateCertificate, localizedGrade } bound to one template directory and set of defaults.
+// verifyUrl(certificateId) builds the public verification link. renderSlots (createSemaphore) caps how many
+// renders run at once; without it every call renders immediately.
+function createCertificateGenerator({ templatesDir, defaultTemplate = 'default.svg', fontFamily, footer = '', outputDefaults, i18n, verifyUrl, renderSlots = null }) {
+    // Returns { svg, templateName } for the first template found, or null
+    async function loadCertificateTemplate(preferredTemplateName) {
+        // Load template from templates directory; fallback to default inline template if missing
+        const candidatePaths = [
+            preferredTemplateName ? path.join(templatesDir, preferredTemplateName) : null,
+            path.join(templatesDir, defaultTemplate),
+            path.join(templatesDir, 'default.svg')
+        ];
+        for (const templatePath of candidatePaths) {
+            if (!templatePath) continue;
+            try {
+                const svg = await fs.readFile(templatePath, 'utf8');
+                console.log(`[template] Loaded certificate template from: ${templatePath}`);
+                return { svg, templateName: path.basename(templatePath) };
+            } catch (e) {
+                // try next
+                console.log(`[template] Missing template candidate: ${templatePath}`);
+            }
+        }
+        return null;
+    }
+
+    // Grade label in a locale: the quiz's own translation, then the shared "grade.<label>" strings
+    function localizedGrade(label, locale, localized) {
+        if (!label) return label;
+        return (localized && localized.grades[label]) || i18n.lookup(locale, `grade.${label}`) || label;
+    }
+
+    // Score placeholders for a graded attempt (absent when issuing without a score); gradeLabel is the translated band
+    function scoreReplacements(grade, locale, gradeLabel) {
+        if (!grade) {
+            return { SCORE: '', SCORE_PERCENT: '', GRADE: '', SECONDARY_TEXT: i18n.t(locale, 'certificate.perfect') };
+        }
+        return {
+            SCORE: `${grade.earned}/${grade.possible}`,
+            SCORE_PERCENT: `${grade.percent}%`,
+            GRADE: gradeLabel,
+            SECONDARY_TEXT: grade.perfect
+                ? i18n.t(locale, 'certificate.perfect')
+                : i18n.t(locale, 'certificate.score', { percent: grade.percent, grade: gradeLabel })
+        };
+    }
+
+    // Generate certificate with name and date and render it in every configured output format.
+    // grade is the result of gradeAnswers() and fills the score placeholders. Placeholder values come from
+    // (lowest first) built-in texts, the template manifest defaults, the quiz "fields", the issuance itself
+    // (name, date, ID, score, verify link) and finally overrides (preview sample data, roster columns).
+    // Output options come from CERT_* defaults, the manifest, the quiz and outputOverride. Built-in texts,
+    // the date, the grade label and the quiz fields follow locale; title should already be in that locale.
+    // Returns { files: { [format]: Buffer }, buffer (primary format), certificateId, output, templateName, unresolved }.
+    async function generateCertificate({ name, title, templateName, grade, quiz = null, locale = DEFAULT_LOCALE, date = new Date(), overrides = {}, outputOverride = null, certificateId = generateCertificateId() }, reqId) {
+        const currentDate = formatDate(date, locale);
+        const localized = quiz ? localizeQuiz(quiz, locale) : null;
+        const t = (key, vars) => i18n.t(locale, key, vars);
+
+        // Try to load external SVG template
+        console.log(`[${reqId || 'cert'}] Generating certificate (name="${name}", title="${title}", template="${templateName}", locale=${locale})`);
+        const loaded = await loadCertificateTemplate(templateName);
+        const manifest = loaded ? await loadTemplateManifest(templatesDir, loaded.templateName) : {};
+        const output = resolveOutputOptions(outputDefaults, manifest.output, quiz && quiz.output, outputOverride);
+
+        let svgToRender;
+        let unresolved = [];
+        const { SECONDARY_TEXT, ...scoreValues } = scoreReplacements(grade, locale, grade && localizedGrade(grade.grade, locale, localized));
+        if (loaded) {
+            const replacements = {
+                CERT_TITLE: t('certificate.title'),
+                COURSE_TITLE: title,
+                INTRO_TEXT: t('certificate.intro'),
+                COMPLETION_TEXT: t('certificate.completion', { title }),
+                SECONDARY_TEXT,
+                DATE_LABEL: t('certificate.dateLabel'),
+                CERT_ID_LABEL: t('certificate.idLabel'),
+                ISSUER_LABEL: t('certificate.issuerLabel'),
+                FOOTER: footer,
+                ...manifestValues(manifest),
+                ...(footer ? { FOOTER: footer } : {}),
+                ...(localized ? localized.fields : {}),
+                NAME: name,
+                ...scoreValues,
+                DATE: currentDate,
+                CERT_ID: certificateId,
+                VERIFY_URL: verifyUrl(certificateId),
+                ...overrides
+            };
+            if (loaded.svg.includes('##QR_CODE##')) {
+                // PNG data URI for <image href="##QR_CODE##">; renders in both sharp and the PDF path
+                replacements.QR_CODE = await QRCode.toDataURL(replacements.VERIFY_URL, { margin: 1, width: 360, errorCorrectionLevel: 'M' });
+            }
+            console.log(`[${reqId || 'cert'}] Applying placeholders: ${Object.keys(replacements).join(', ')}`);
+            svgToRender = applyTemplatePlaceholders(loaded.svg, replacements, manifest.fields, { lang: locale })
+                // allow template fonts to be adjusted by env by replacing default family occurrences
+                .replace(/DejaVu Sans, Arial, sans-serif/g, () => fontFamily);
+            unresolved = templatePlaceholders(svgToRender);
+            if (unresolved.length > 0) {
+                console.warn(`[${reqId || 'cert'}] Warning: Unresolved placeholders remain: ${unresolved.join(', ')}`);
+            }
+            console.log(`[${reqId || 'cert'}] SVG length: ${svgToRender.length}`);
+            console.log(`[${reqId || 'cert'}] SVG preview: ${svgToRender.slice(0, 200).replace(/\n/g, ' ')}…`);
+        } else {
+            // Fallback inline template
+            svgToRender = `
+				<svg width="800" height="600" xmlns="http://www.w3.org/2000/svg" xml:lang="${locale}" direction="${textDirection(locale)}">
+					<rect width="800" height="600" fill="#f8f9fa" stroke="#dee2e6" stroke-width="2"/>
+					<rect x="50" y="50" width="700" height="500" fill="white" stroke="#007bff" stroke-width="3"/>
+					<text x="400" y="120" text-anchor="middle" font-family="${fontFamily}" font-size="36" font-weight="bold" fill="#007bff">${t('certificate.title')}</text>
+					<text x="400" y="160" text-anchor="middle" font-family="${fontFamily}" font-size="18" fill="#6c757d">${title}</text>
+					<text x="400" y="250" text-anchor="middle" font-family="${fontFamily}" font-size="20" fill="#212529">${t('certificate.intro')}</text>
+					<text x="400" y="300" text-anchor="middle" font-family="${fontFamily}" font-size="28" font-weight="bold" fill="#007bff">${name}</text>
+					<text x="400" y="350" text-anchor="middle" font-family="${fontFamily}" font-size="20" fill="#212529">${t('certificate.completion', { title })}</text>
+					<text x="400" y="380" text-anchor="middle" font-family="${fontFamily}" font-size="20" fill="#212529">${SECONDARY_TEXT}</text>
+					<text x="400" y="450" text-anchor="middle" font-family="${fontFamily}" font-size="16" fill="#6c757d">${t('certificate.dateLabel')} ${currentDate}</text>
+					<text x="400" y="520" text-anchor="middle" font-family="${fontFamily}" font-size="14" fill="#6c757d">${t('certificate.idLabel')} ${certificateId}</text>
+				</svg>
+			`;
+        }
+
+        console.log(`[${reqId || 'cert'}] Rendering ${output.formats.join(', ')} (primary ${output.primary}, ${output.dpi} DPI, ${output.pageSize})…`);
+        // Resolves with the running render once a slot is free. The slot stays taken until the render
+        // itself settles, even if the caller has timed out on it, since it still holds the CPU.
+        const started = new Promise((resolve) => {
+            const render = () => {
+                const rendering = renderFormats(svgToRender, { ...output, title: `${title} - ${name}` });
+                resolve({ rendering });
+                return rendering.catch(() => { /* reported to the caller */ });
+            };
+            if (renderSlots) renderSlots.run(render);
+            else render();
+        });
+        let files;
+        try {
+            const slots = renderSlots && renderSlots.stats();
+            if (slots && slots.active >= slots.limit) {
+                console.log(`[${reqId || 'cert'}] Waiting for a render slot (${slots.waiting} already waiting)…`);
+            }
+            // The timeout starts once the render does, so waiting in a burst does not count against it
+            const { rendering } = await started;
+            files = await withTimeout(rendering, 30000, 'renderFormats');
+        } catch (e) {
+            console.error(`[${reqId || 'cert'}] Render failed: ${e.message}`);
+            throw e;
+        }
+        console.log(`[${reqId || 'cert'}] Rendered ${Object.entries(files).map(([f, b]) => `${f} ${b.length} bytes`).join(', ')}`);
+
+        return {
+            files,
+            buffer: files[output.primary],
+            certificateId,
+            output,
+            templateName: loaded ? loaded.templateName : null,
+            unresolved
+        };
+    }
+
+    return { generateCertificate, localizedGrade };
+}
+
+module.exports = {
+    withTimeout,
+    sanitizeUserName,
+    normalizeEmail,
+    certificateHashes,
+    writeCertificateFiles,
+    createCertificateGenerator
+};
@@ -0,0 +1,84 @@
+// Minimal CSV reading and writing (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+
+// Rows of a CSV document as arrays of strings; blank lines are dropped. Quotes are only allowed around a
+// whole field (spaces outside them are ignored), so a stray one (a"b or "a"b) throws instead of
+// silently changing the field.
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    // A quoted field has just ended: only spaces, a separator or a line break may follow
+    let closed = false;
+    let line = 1;
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (ch === '\n') line++;
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+                closed = true;
+            } else {
+                field += ch;
+            }
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+            closed = false;
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') {
+                i++;
+                line++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            closed = false;
+        } else if (closed) {
+            if (ch !== ' ' && ch !== '\t') throw new Error(`Unexpected text after a quoted field on line ${line}`);
+        } else if (ch === '"') {
+            if (field.trim() !== '') throw new Error(`Unexpected quote inside an unquoted field on line ${line}`);
+            field = '';
+            quoted = true;
+        } else {
+            field += ch;
+        }
+    }
+    if (quoted) throw new Error('Unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+// Rows as objects keyed by the (trimmed) header row
+function parseCsvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map((h) => h.trim());
+    return {
+        columns,
+        records: rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, (row[i] || '').trim()])))
+    };
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV document for a list of objects, one column per entry of columns
+function toCsv(columns, records) {
+    const lines = [columns.map(csvField).join(',')];
+    for (const record of records) {
+        lines.push(columns.map((column) => csvField(record[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { parseCsv, parseCsvRecords, toCsv };
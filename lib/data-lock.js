@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require('fs');
+
+// Exclusive lock on the data directory. The server and the bulk issuance script both keep state there
+// in memory and append or rewrite its files (registry, local provider index, queues), so only one of
+// them may run against it at a time; while the server runs, the script issues through its admin API.
+// The lock file records the holder's PID; a lock whose process is gone (or is this process, e.g. PID 1
+// again after a container restart) is stale and taken over.
+
+const LOCK_FILE = '.lock';
+
+function isRunning(pid) {
+    if (!Number.isInteger(pid) || pid <= 0 || pid === process.pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM: the process exists but belongs to another user
+        return e.code === 'EPERM';
+    }
+}
+
+function readLock(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        return {};
+    }
+}
+
+// Take the lock for `owner` ("server", "issue-bulk"). Throws (code DATA_DIR_LOCKED, with the holder's
+// `owner`) while another live process holds it. Returns release(), which is also run when the process exits.
+function acquireDataLock(dataDir, owner) {
+    const lockPath = path.join(dataDir, LOCK_FILE);
+    fs.mkdirSync(dataDir, { recursive: true });
+    const content = JSON.stringify({ pid: process.pid, owner, startedAt: new Date().toISOString() });
+
+    for (let tries = 0; tries < 2; tries++) {
+        try {
+            fs.writeFileSync(lockPath, content, { flag: 'wx' });
+            break;
+        } catch (e) {
+            if (e.code !== 'EEXIST' || tries > 0) throw e;
+        }
+        const held = readLock(lockPath);
+        if (held && isRunning(held.pid)) {
+            const error = new Error(`${dataDir} is in use by ${held.owner || 'another process'} (PID ${held.pid}, since ${held.startedAt}); stop it first`);
+            error.code = 'DATA_DIR_LOCKED';
+            error.owner = held.owner || null;
+            throw error;
+        }
+        console.warn(`[lock] Removing stale lock ${lockPath}${held && held.pid ? ` (PID ${held.pid} is gone)` : ''}`);
+        fs.rmSync(lockPath, { force: true });
+    }
+
+    let released = false;
+    function release() {
+        if (released) return;
+        released = true;
+        process.removeListener('exit', release);
+        const held = readLock(lockPath);
+        if (held && held.pid === process.pid) fs.rmSync(lockPath, { force: true });
+    }
+    process.on('exit', release);
+    return release;
+}
+
+module.exports = { acquireDataLock };
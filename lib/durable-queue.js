@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Small durable job queue persisted as a JSON file. Jobs survive restarts, run one at a time,
+// and are retried with exponential backoff until they succeed or run out of attempts.
+//
+// Job: { id, state: 'pending' | 'running' | 'done' | 'failed', payload, attempts, nextAttemptAt,
+//        lastError, createdAt, updatedAt, completedAt }
+//
+// handler(job, { checkpoint }) does the work; checkpoint(patch) merges progress into job.payload
+// and persists it, so a retry can skip steps that already succeeded.
+
+function createDurableQueue({
+    name,
+    filePath,
+    handler,
+    maxAttempts = 8,
+    baseDelayMs = 5000,
+    maxDelayMs = 10 * 60 * 1000,
+    keepDone = 500,
+    onDone,
+    onFailed
+}) {
+    let jobs = [];
+    let timer = null;
+    let running = false;
+    let started = false;
+    let writeChain = Promise.resolve();
+
+    function save() {
+        const snapshot = JSON.stringify({ jobs }, null, 2);
+        writeChain = writeChain.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, snapshot, 'utf8');
+            await fs.rename(tmpPath, filePath);
+        }).catch((e) => {
+            console.error(`[${name}] Failed to persist queue: ${e.message}`);
+        });
+        return writeChain;
+    }
+
+    async function load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            jobs = Array.isArray(parsed.jobs) ? parsed.jobs : [];
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`[${name}] Could not read ${filePath}: ${e.message}`);
+            jobs = [];
+        }
+        // A job that was running when the process stopped is retried
+        for (const job of jobs) {
+            if (job.state === 'running') job.state = 'pending';
+        }
+        const pending = jobs.filter((j) => j.state === 'pending').length;
+        const failed = jobs.filter((j) => j.state === 'failed').length;
+        console.log(`[${name}] Loaded ${jobs.length} job(s) from ${filePath} (pending: ${pending}, failed: ${failed})`);
+    }
+
+    function backoffMs(attempts) {
+        const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+        // +/-20% jitter so retries of a burst spread out
+        return Math.round(exp * (0.8 + Math.random() * 0.4));
+    }
+
+    function prune() {
+        const done = jobs.filter((j) => j.state === 'done');
+        if (done.length <= keepDone) return;
+        const drop = new Set(done
+            .sort((a, b) => (a.completedAt || '').localeCompare(b.completedAt || ''))
+            .slice(0, done.length - keepDone)
+            .map((j) => j.id));
+        jobs = jobs.filter((j) => !drop.has(j.id));
+    }
+
+    function schedule() {
+        if (!started || running) return;
+        if (timer) clearTimeout(timer);
+        timer = null;
+        const next = jobs
+            .filter((j) => j.state === 'pending')
+            .reduce((min, j) => Math.min(min, j.nextAttemptAt || 0), Infinity);
+        if (next === Infinity) return;
+        timer = setTimeout(runDue, Math.max(0, next - Date.now()));
+        timer.unref();
+    }
+
+    async function runJob(job) {
+        job.state = 'running';
+        job.attempts += 1;
+        job.updatedAt = new Date().toISOString();
+        await save();
+        const checkpoint = async (patch) => {
+            Object.assign(job.payload, patch);
+            job.updatedAt = new Date().toISOString();
+            await save();
+        };
+        try {
+            await handler(job, { checkpoint });
+            job.state = 'done';
+            job.lastError = null;
+            job.completedAt = new Date().toISOString();
+            console.log(`[${name}] Job ${job.id} done after ${job.attempts} attempt(s)`);
+        } catch (e) {
+            job.lastError = e.message;
+            if (job.attempts >= maxAttempts) {
+                job.state = 'failed';
+                console.error(`[${name}] Job ${job.id} failed permanently after ${job.attempts} attempt(s): ${e.message}`);
+            } else {
+                job.state = 'pending';
+                job.nextAttemptAt = Date.now() + backoffMs(job.attempts);
+                console.warn(`[${name}] Job ${job.id} attempt ${job.attempts} failed: ${e.message}; retrying at ${new Date(job.nextAttemptAt).toISOString()}`);
+            }
+        }
+        job.updatedAt = new Date().toISOString();
+        prune();
+        await save();
+        try {
+            if (job.state === 'done' && onDone) await onDone(job);
+            if (job.state === 'failed' && onFailed) await onFailed(job);
+        } catch (e) {
+            console.error(`[${name}] Completion callback for job ${job.id} threw: ${e.message}`);
+        }
+    }
+
+    async function runDue() {
+        timer = null;
+        if (running) return;
+        running = true;
+        try {
+            let job;
+            while ((job = jobs.find((j) => j.state === 'pending' && (j.nextAttemptAt || 0) <= Date.now()))) {
+                await runJob(job);
+            }
+        } finally {
+            running = false;
+            schedule();
+        }
+    }
+
+    async function enqueue(payload, { id } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: id || crypto.randomBytes(8).toString('hex'),
+            state: 'pending',
+            payload,
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+        jobs.push(job);
+        await save();
+        schedule();
+        return job;
+    }
+
+    // Put a failed job back in line with a fresh attempt budget
+    async function replay(id) {
+        const job = jobs.find((j) => j.id === id);
+        if (!job) return null;
+        if (job.state !== 'failed') return job;
+        job.state = 'pending';
+        job.attempts = 0;
+        job.nextAttemptAt = Date.now();
+        job.updatedAt = new Date().toISOString();
+        await save();
+        schedule();
+        console.log(`[${name}] Job ${id} replayed`);
+        return job;
+    }
+
+    function get(id) {
+        return jobs.find((j) => j.id === id) || null;
+    }
+
+    function list({ state } = {}) {
+        return jobs.filter((j) => !state || j.state === state);
+    }
+
+    function start() {
+        started = true;
+        schedule();
+    }
+
+    return { load, start, enqueue, replay, get, list };
+}
+
+module.exports = { createDurableQueue };
@@ -0,0 +1,212 @@
+// Question types, validation and weighted grading.
+//
+// Question shapes (type defaults to "single"):
+//   single:    { options: [...], correct: <index> }
+//   multi:     { options: [...], correct: [<index>, ...], partialCredit?: true }
+//   truefalse: { correct: true | false }
+//   numeric:   { answer: <number>, tolerance?: <number> }
+//   text:      { accepted: ["variant", ...], caseSensitive?: false }
+// Every question may set "points" (default 1).
+
+const QUESTION_TYPES = ['single', 'multi', 'truefalse', 'numeric', 'text'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Used when a quiz does not declare gradeBands; the first band whose min is reached wins
+const DEFAULT_GRADE_BANDS = [
+    { min: 100, label: 'Perfect Score' },
+    { min: 90, label: 'Distinction' },
+    { min: 75, label: 'Merit' },
+    { min: 0, label: 'Pass' }
+];
+
+function questionType(question) {
+    return question.type || 'single';
+}
+
+function questionPoints(question) {
+    return typeof question.points === 'number' && question.points > 0 ? question.points : 1;
+}
+
+// Options presented to the learner (true/false questions get fixed options, optionally translated)
+function questionOptions(question, trueFalseLabels = TRUE_FALSE_OPTIONS) {
+    return questionType(question) === 'truefalse' ? trueFalseLabels : (question.options || []);
+}
+
+// Whether presented options may be shuffled per attempt
+function shufflesOptions(question) {
+    const type = questionType(question);
+    return type === 'single' || type === 'multi';
+}
+
+// Returns a list of problems with a question definition (empty when valid)
+function validateQuestion(question, label) {
+    const errors = [];
+    const where = label || 'question';
+    if (!question || typeof question !== 'object') {
+        return [`${where}: must be an object`];
+    }
+    const type = questionType(question);
+    if (!QUESTION_TYPES.includes(type)) {
+        return [`${where}: unknown type '${type}' (expected one of ${QUESTION_TYPES.join(', ')})`];
+    }
+    if (typeof question.question !== 'string' || !question.question.trim()) {
+        errors.push(`${where}: "question" text is required`);
+    }
+    if (question.points !== undefined && !(typeof question.points === 'number' && question.points > 0)) {
+        errors.push(`${where}: "points" must be a positive number`);
+    }
+    const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+    const isOptionIndex = (i) => Number.isInteger(i) && i >= 0 && i < optionCount;
+    switch (type) {
+        case 'single':
+            if (optionCount < 2) errors.push(`${where}: at least two "options" are required`);
+            if (!isOptionIndex(question.correct)) errors.push(`${where}: "correct" must be an option index`);
+            break;
+        case 'multi':
+            if (optionCount < 2) errors.push(`${where}: at least two "options" are required`);
+            if (!Array.isArray(question.correct) || question.correct.length === 0 || !question.correct.every(isOptionIndex)) {
+                errors.push(`${where}: "correct" must be a non-empty array of option indices`);
+            }
+            break;
+        case 'truefalse':
+            if (typeof question.correct !== 'boolean') errors.push(`${where}: "correct" must be true or false`);
+            break;
+        case 'numeric':
+            if (typeof question.answer !== 'number' || !Number.isFinite(question.answer)) {
+                errors.push(`${where}: "answer" must be a number`);
+            }
+            if (question.tolerance !== undefined && !(typeof question.tolerance === 'number' && question.tolerance >= 0)) {
+                errors.push(`${where}: "tolerance" must be a non-negative number`);
+            }
+            break;
+        case 'text':
+            if (!Array.isArray(question.accepted) || question.accepted.length === 0 || !question.accepted.every((v) => typeof v === 'string')) {
+                errors.push(`${where}: "accepted" must be a non-empty array of strings`);
+            }
+            break;
+    }
+    return errors;
+}
+
+// A typed number: optional sign, digits, one decimal point or comma ("-1.5", "3,25", ".5")
+const NUMBER_PATTERN = /^[+-]?(\d+([.,]\d*)?|[.,]\d+)$/;
+
+// The numeric value of an answer, or NaN unless the whole answer is a number ("12abc" is not)
+function parseNumber(answer) {
+    if (typeof answer === 'number') return answer;
+    const text = String(answer ?? '').trim();
+    return NUMBER_PATTERN.test(text) ? Number(text.replace(',', '.')) : NaN;
+}
+
+function normalizeText(value, caseSensitive) {
+    const collapsed = String(value).normalize('NFKC').replace(/\s+/g, ' ').trim();
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+// Grade one answer. optionOrder maps shown positions to original option indices.
+// Returns the fraction of the question's points earned (0..1).
+function scoreAnswer(question, optionOrder, answer) {
+    const toOriginal = (position) => {
+        if (!Number.isInteger(position)) return null;
+        const original = optionOrder ? optionOrder[position] : position;
+        return original === undefined ? null : original;
+    };
+    switch (questionType(question)) {
+        case 'single':
+            return toOriginal(answer) === question.correct ? 1 : 0;
+        case 'truefalse':
+            // position 0 = True, 1 = False
+            return toOriginal(answer) === (question.correct ? 0 : 1) ? 1 : 0;
+        case 'multi': {
+            if (!Array.isArray(answer)) return 0;
+            const selected = new Set(answer.map(toOriginal).filter((i) => i !== null));
+            const correct = new Set(question.correct);
+            let hits = 0;
+            let misses = 0;
+            for (const i of selected) {
+                if (correct.has(i)) hits++;
+                else misses++;
+            }
+            if (hits === correct.size && misses === 0) return 1;
+            if (!question.partialCredit) return 0;
+            return Math.max(0, (hits - misses) / correct.size);
+        }
+        case 'numeric': {
+            const value = parseNumber(answer);
+            if (!Number.isFinite(value)) return 0;
+            return Math.abs(value - question.answer) <= (question.tolerance || 0) ? 1 : 0;
+        }
+        case 'text': {
+            if (typeof answer !== 'string' || !answer.trim()) return 0;
+            const given = normalizeText(answer, question.caseSensitive);
+            return question.accepted.some((v) => normalizeText(v, question.caseSensitive) === given) ? 1 : 0;
+        }
+        default:
+            return 0;
+    }
+}
+
+// Whether an answer value has the right shape for its question type
+function isAnswered(question, answer) {
+    switch (questionType(question)) {
+        case 'multi':
+            return Array.isArray(answer);
+        case 'numeric':
+            return answer !== null && answer !== undefined && String(answer).trim() !== '';
+        case 'text':
+            return typeof answer === 'string';
+        default:
+            return Number.isInteger(answer);
+    }
+}
+
+function gradeBand(percent, bands) {
+    const sorted = (Array.isArray(bands) && bands.length > 0 ? bands : DEFAULT_GRADE_BANDS)
+        .slice()
+        .sort((a, b) => b.min - a.min);
+    const band = sorted.find((b) => percent >= b.min);
+    return band ? band.label : '';
+}
+
+// Grade a set of served questions. Each entry is { question, optionOrder }.
+function gradeAnswers(served, answers, { passThreshold = 100, gradeBands } = {}) {
+    let earned = 0;
+    let possible = 0;
+    let correctCount = 0;
+    const results = served.map(({ question, optionOrder }, i) => {
+        const points = questionPoints(question);
+        const fraction = scoreAnswer(question, optionOrder, answers[i]);
+        earned += fraction * points;
+        possible += points;
+        if (fraction === 1) correctCount++;
+        return { correct: fraction === 1, earned: fraction * points, points };
+    });
+    // Pass and grade band are decided on the exact score (79.96% does not pass 80%). The displayed
+    // figures are rounded down, so a failing 79.96% shows as 79.9% rather than 80%. The epsilon
+    // absorbs float error in summed partial credit.
+    const exactPercent = possible > 0 ? (earned / possible) * 100 + 1e-9 : 0;
+    return {
+        earned: Math.floor(earned * 100 + 1e-7) / 100,
+        possible,
+        percent: Math.floor(exactPercent * 10) / 10,
+        correctCount,
+        questionCount: served.length,
+        perfect: possible > 0 && exactPercent >= 100,
+        passed: possible > 0 && exactPercent >= passThreshold,
+        grade: gradeBand(exactPercent, gradeBands),
+        results
+    };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    DEFAULT_GRADE_BANDS,
+    questionType,
+    questionPoints,
+    questionOptions,
+    shufflesOptions,
+    validateQuestion,
+    isAnswered,
+    gradeAnswers,
+    gradeBand
+};
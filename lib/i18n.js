@@ -0,0 +1,156 @@
+const path = require('path');
+const fsSync = require('fs');
+
+// UI and certificate strings per locale. locales/<tag>.json holds flat "group.key" entries with
+// {name} slots; a lookup falls back from "es-MX" to "es" and then to English, so a locale file only
+// needs the strings it changes. Quizzes carry their own translations (see quiz-catalog.js).
+
+const DEFAULT_LOCALE = 'en';
+// Languages written right to left (base subtags)
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'yi', 'dv', 'ckb', 'sd', 'ug'];
+const LOCALE_TAG = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Canonical form of a locale tag ("pt-br" -> "pt-BR"), or null when it is not one
+function normalizeLocale(tag) {
+    if (typeof tag !== 'string' || !LOCALE_TAG.test(tag.trim())) return null;
+    try {
+        return Intl.getCanonicalLocales(tag.trim())[0];
+    } catch (_) {
+        return null;
+    }
+}
+
+function baseLanguage(locale) {
+    return String(locale || '').split('-')[0].toLowerCase();
+}
+
+function isRtl(locale) {
+    return RTL_LANGUAGES.includes(baseLanguage(locale));
+}
+
+function textDirection(locale) {
+    return isRtl(locale) ? 'rtl' : 'ltr';
+}
+
+// Locale tags from an Accept-Language header, most preferred first
+function parseAcceptLanguage(header) {
+    if (!header) return [];
+    return String(header).split(',')
+        .map((part, order) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+            return { tag: normalizeLocale(tag), q: q ? parseFloat(q.slice(2)) : 1, order };
+        })
+        .filter((entry) => entry.tag && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.order - b.order)
+        .map((entry) => entry.tag);
+}
+
+// Requested locales for a request: ?lang= first, then Accept-Language
+function requestedLocales(req) {
+    const fromQuery = normalizeLocale(req.query && typeof req.query.lang === 'string' ? req.query.lang : '');
+    return [...(fromQuery ? [fromQuery] : []), ...parseAcceptLanguage(req.get('accept-language'))];
+}
+
+// First requested locale that is available, matching exactly or by base language
+function negotiateLocale(requested, available, fallback = DEFAULT_LOCALE) {
+    const byLower = new Map(available.map((tag) => [tag.toLowerCase(), tag]));
+    for (const tag of requested) {
+        const exact = byLower.get(tag.toLowerCase());
+        if (exact) return exact;
+        const base = baseLanguage(tag);
+        const sameLanguage = byLower.get(base) || available.find((a) => baseLanguage(a) === base);
+        if (sameLanguage) return sameLanguage;
+    }
+    return fallback;
+}
+
+// Long-form date in the locale ("October 19, 2026", "19 de octubre de 2026")
+function formatDate(date, locale) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    try {
+        return date.toLocaleDateString(locale || DEFAULT_LOCALE, options);
+    } catch (_) {
+        return date.toLocaleDateString('en-US', options);
+    }
+}
+
+// Wait of some seconds as relative time in the locale ("in 45 seconds", "dentro de 5 minutos")
+function formatWait(seconds, locale) {
+    const [value, unit] = seconds < 60 ? [seconds, 'second']
+        : seconds < 3600 ? [Math.ceil(seconds / 60), 'minute']
+            : [Math.ceil(seconds / 3600), 'hour'];
+    try {
+        return new Intl.RelativeTimeFormat(locale || DEFAULT_LOCALE, { numeric: 'always' }).format(value, unit);
+    } catch (_) {
+        return new Intl.RelativeTimeFormat('en', { numeric: 'always' }).format(value, unit);
+    }
+}
+
+function interpolate(text, vars) {
+    return vars ? text.replace(/\{(\w+)\}/g, (whole, name) => (vars[name] !== undefined ? String(vars[name]) : whole)) : text;
+}
+
+// Load locales/*.json. Returns { locales, lookup, t, strings }.
+function createI18n({ localesDir }) {
+    const catalogs = new Map();
+    let entries = [];
+    try {
+        entries = fsSync.readdirSync(localesDir).filter((f) => f.toLowerCase().endsWith('.json')).sort();
+    } catch (e) {
+        console.warn(`[i18n] Locales directory not readable (${localesDir}): ${e.message}`);
+    }
+    for (const entry of entries) {
+        const tag = normalizeLocale(path.basename(entry, path.extname(entry)));
+        if (!tag) {
+            console.warn(`[i18n] Skipping ${entry}: file name is not a locale tag`);
+            continue;
+        }
+        try {
+            catalogs.set(tag, JSON.parse(fsSync.readFileSync(path.join(localesDir, entry), 'utf8')));
+        } catch (e) {
+            console.error(`[i18n] Failed to load ${entry}: ${e.message}`);
+        }
+    }
+    if (!catalogs.has(DEFAULT_LOCALE)) catalogs.set(DEFAULT_LOCALE, {});
+    console.log(`[i18n] Loaded locales: ${[...catalogs.keys()].join(', ')}`);
+
+    // Catalogs consulted for a locale, most specific first
+    const chain = (locale) => [...new Set([normalizeLocale(locale), baseLanguage(locale), DEFAULT_LOCALE])]
+        .filter((tag) => tag && catalogs.has(tag))
+        .map((tag) => catalogs.get(tag));
+
+    // String for a key, or undefined when no catalog in the chain has it
+    function lookup(locale, key, vars) {
+        const catalog = chain(locale).find((c) => typeof c[key] === 'string');
+        return catalog ? interpolate(catalog[key], vars) : undefined;
+    }
+
+    // String for a key (the key itself when missing everywhere)
+    function t(locale, key, vars) {
+        const value = lookup(locale, key, vars);
+        return value === undefined ? key : value;
+    }
+
+    // Every string for a locale, with fallbacks merged in (sent to the pages)
+    function strings(locale) {
+        return Object.assign({}, ...chain(locale).reverse());
+    }
+
+    return { locales: [...catalogs.keys()], lookup, t, strings };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    baseLanguage,
+    isRtl,
+    textDirection,
+    parseAcceptLanguage,
+    requestedLocales,
+    negotiateLocale,
+    formatDate,
+    formatWait,
+    interpolate,
+    createI18n
+};
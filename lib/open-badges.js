@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+
+// Open Badges 3.0 credentials: every issued certificate also gets a W3C Verifiable Credential
+// (OpenBadgeCredential) describing the achievement, signed with the issuer's Ed25519 key as a
+// Data Integrity proof (cryptosuite eddsa-jcs-2022). The issuer is the did:key of that key, so a
+// wallet can check the signature without fetching anything. The credential is baked into PNG
+// output (iTXt chunk "openbadgecredential") and also kept as its own JSON file.
+
+const CONTEXTS = ['https://www.w3.org/ns/credentials/v2', 'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'];
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+const PNG_KEYWORD = 'openbadgecredential';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// Multicodec prefix of an Ed25519 public key
+const ED25519_PUB_PREFIX = Buffer.from([0xed, 0x01]);
+
+function base58btc(bytes) {
+    let n = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+    let out = '';
+    while (n > 0n) {
+        out = BASE58_ALPHABET[Number(n % 58n)] + out;
+        n /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        out = `1${out}`;
+    }
+    return out;
+}
+
+function base58btcDecode(text) {
+    let n = 0n;
+    for (const ch of text) {
+        const digit = BASE58_ALPHABET.indexOf(ch);
+        if (digit < 0) throw new Error(`Invalid base58 character "${ch}"`);
+        n = n * 58n + BigInt(digit);
+    }
+    const hex = n === 0n ? '' : n.toString(16);
+    const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    const zeros = text.match(/^1*/)[0].length;
+    return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+// JSON Canonicalization Scheme (RFC 8785) for plain JSON data: sorted keys, no whitespace
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter((k) => value[k] !== undefined).sort()
+            .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Ed25519 private key from PEM text (OB_SIGNING_KEY) or a PEM file (OB_SIGNING_KEY_FILE); null when unset or unusable
+function loadSigningKey({ pem, filePath }) {
+    let text = pem ? pem.replace(/\\n/g, '\n') : null;
+    try {
+        if (!text && filePath) text = fsSync.readFileSync(filePath, 'utf8');
+        if (!text) return null;
+        const key = crypto.createPrivateKey(text);
+        if (key.asymmetricKeyType !== 'ed25519') throw new Error(`expected an Ed25519 key, got ${key.asymmetricKeyType}`);
+        return key;
+    } catch (e) {
+        console.error(`[badges] Could not load the issuer signing key: ${e.message}`);
+        return null;
+    }
+}
+
+// did:key identifier of an Ed25519 public key ("did:key:z6Mk…")
+function didKeyOf(publicKey) {
+    const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    return `did:key:z${base58btc(Buffer.concat([ED25519_PUB_PREFIX, raw]))}`;
+}
+
+// Public key of a did:key verification method ("did:key:z6Mk…#z6Mk…")
+function publicKeyFromDidKey(verificationMethod) {
+    const match = /^did:key:z([1-9A-HJ-NP-Za-km-z]+)(#.*)?$/.exec(verificationMethod || '');
+    if (!match) throw new Error('verificationMethod is not a did:key');
+    const bytes = base58btcDecode(match[1]);
+    if (!bytes.subarray(0, 2).equals(ED25519_PUB_PREFIX) || bytes.length !== 34) throw new Error('did:key is not an Ed25519 key');
+    return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: bytes.subarray(2).toString('base64url') }, format: 'jwk' });
+}
+
+// Bytes signed by an eddsa-jcs-2022 proof: SHA-256 of the proof options, then of the document
+function proofHashData(document, proofOptions) {
+    const sha256 = (value) => crypto.createHash('sha256').update(canonicalJson(value)).digest();
+    return Buffer.concat([sha256(proofOptions), sha256(document)]);
+}
+
+// Credential with an eddsa-jcs-2022 DataIntegrityProof added
+function signCredential(credential, { privateKey, verificationMethod, created = new Date() }) {
+    const proofOptions = {
+        '@context': credential['@context'],
+        type: 'DataIntegrityProof',
+        cryptosuite: CRYPTOSUITE,
+        created: created.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        verificationMethod,
+        proofPurpose: 'assertionMethod'
+    };
+    const signature = crypto.sign(null, proofHashData(credential, proofOptions), privateKey);
+    const { '@context': _context, ...proof } = proofOptions;
+    return { ...credential, proof: { ...proof, proofValue: `z${base58btc(signature)}` } };
+}
+
+// Checks the eddsa-jcs-2022 proof of a credential against its did:key verification method
+function verifyCredential(signed) {
+    const { proof, ...credential } = signed || {};
+    if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) return false;
+    try {
+        const { proofValue, ...options } = proof;
+        const signature = base58btcDecode(String(proofValue).replace(/^z/, ''));
+        const publicKey = publicKeyFromDidKey(proof.verificationMethod);
+        return crypto.verify(null, proofHashData(credential, { '@context': credential['@context'], ...options }), publicKey, signature);
+    } catch (e) {
+        return false;
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+}
+
+// Offsets of every chunk in a PNG ({ type, start, dataStart, end })
+function pngChunks(png) {
+    if (!Buffer.isBuffer(png) || !png.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= png.length) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > png.length) throw new Error(`Truncated PNG chunk ${type}`);
+        chunks.push({ type, start: offset, dataStart: offset + 8, end });
+        if (type === 'IEND') break;
+        offset = end;
+    }
+    if (!chunks.some((c) => c.type === 'IEND')) throw new Error('PNG has no IEND chunk');
+    return chunks;
+}
+
+// Bake a credential into a PNG: an uncompressed iTXt "openbadgecredential" chunk before IEND,
+// replacing any credential baked earlier
+function bakePng(png, credentialJson) {
+    const chunks = pngChunks(png);
+    const iend = chunks.find((c) => c.type === 'IEND');
+    const kept = chunks.filter((c) => c.type !== 'IEND' && !(c.type === 'iTXt' &&
+        png.toString('latin1', c.dataStart, c.dataStart + PNG_KEYWORD.length + 1) === `${PNG_KEYWORD}\u0000`));
+    // keyword \0, compression flag 0, method 0, empty language tag \0, empty translated keyword \0, UTF-8 text
+    const data = Buffer.concat([Buffer.from(`${PNG_KEYWORD}\u0000\u0000\u0000\u0000\u0000`, 'latin1'), Buffer.from(credentialJson, 'utf8')]);
+    return Buffer.concat([
+        png.subarray(0, 8),
+        ...kept.map((c) => png.subarray(c.start, c.end)),
+        pngChunk('iTXt', data),
+        png.subarray(iend.start)
+    ]);
+}
+
+// Credential text baked into a PNG, or null
+function extractPngCredential(png) {
+    for (const chunk of pngChunks(png)) {
+        if (chunk.type !== 'iTXt') continue;
+        const data = png.subarray(chunk.dataStart, chunk.end - 4);
+        if (data.toString('latin1', 0, PNG_KEYWORD.length + 1) !== `${PNG_KEYWORD}\u0000`) continue;
+        // Skip compression flag and method, then the language tag and translated keyword
+        let offset = PNG_KEYWORD.length + 3;
+        for (let i = 0; i < 2; i++) offset = data.indexOf(0, offset) + 1;
+        return data.subarray(offset).toString('utf8');
+    }
+    return null;
+}
+
+// File name of a certificate's credential next to its rendered formats
+function credentialFilename(baseName) {
+    return `${baseName}.credential.json`;
+}
+
+async function writeCredentialFile(dir, baseName, json) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, credentialFilename(baseName)), json, 'utf8');
+}
+
+// Returns { enabled, issuer, issue }. issue() returns null when no signing key is configured.
+// issuer is { name, url, email }; credentialUrl(certificateId) is where the JSON is served and
+// achievementUrl(quiz, title) identifies the achievement.
+function createBadgeIssuer({ signingKey, issuer, i18n, verifyUrl, credentialUrl, achievementUrl }) {
+    const did = signingKey ? didKeyOf(crypto.createPublicKey(signingKey)) : null;
+    const verificationMethod = did ? `${did}#${did.slice('did:key:'.length)}` : null;
+    const profile = did ? {
+        id: did,
+        type: ['Profile'],
+        name: issuer.name,
+        ...(issuer.url ? { url: issuer.url } : {}),
+        ...(issuer.email ? { email: issuer.email } : {})
+    } : null;
+
+    // Unsigned OpenBadgeCredential for one certificate. quiz may be null (bulk issuance by title).
+    function credentialFor({ certificateId, name, quiz, title, description, locale, grade, date }) {
+        const t = (key, vars) => i18n.t(locale, key, vars);
+        const achievementId = achievementUrl(quiz, title);
+        const achievement = {
+            id: achievementId,
+            type: ['Achievement'],
+            achievementType: 'Certificate',
+            name: title,
+            description: description || t('badge.description', { title }),
+            criteria: {
+                narrative: quiz
+                    ? t('badge.criteriaQuiz', { title, threshold: quiz.passThreshold })
+                    : t('badge.criteriaCourse', { title })
+            },
+            inLanguage: locale
+        };
+        const subject = {
+            type: ['AchievementSubject'],
+            // Learners are known by name only
+            identifier: [{ type: 'IdentityObject', identityHash: name, identityType: 'name', hashed: false }],
+            achievement
+        };
+        if (grade) {
+            achievement.resultDescription = [{
+                id: `${achievementId}#score`,
+                type: ['ResultDescription'],
+                name: t('badge.score'),
+                resultType: 'Percent',
+                requiredValue: String(quiz ? quiz.passThreshold : 0)
+            }];
+            subject.result = [{ type: ['Result'], resultDescription: `${achievementId}#score`, value: String(grade.percent) }];
+        }
+        return {
+            '@context': CONTEXTS,
+            id: credentialUrl(certificateId),
+            type: ['VerifiableCredential', 'OpenBadgeCredential'],
+            name: title,
+            issuer: profile,
+            validFrom: date.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            credentialSubject: subject,
+            evidence: [{
+                id: verifyUrl(certificateId),
+                type: ['Evidence'],
+                name: t('badge.evidence'),
+                description: certificateId
+            }]
+        };
+    }
+
+    // Signed credential for a rendered certificate, with PNG output baked.
+    // Returns { credential, json, files } or null when badges are disabled.
+    function issue({ files, ...details }) {
+        if (!signingKey) return null;
+        const credential = signCredential(credentialFor(details), { privateKey: signingKey, verificationMethod, created: details.date });
+        const json = JSON.stringify(credential, null, 2);
+        const baked = { ...files };
+        if (baked.png) baked.png = bakePng(baked.png, json);
+        return { credential, json, files: baked };
+    }
+
+    return { enabled: Boolean(signingKey), issuer: profile, issue };
+}
+
+module.exports = {
+    loadSigningKey,
+    didKeyOf,
+    signCredential,
+    verifyCredential,
+    bakePng,
+    extractPngCredential,
+    credentialFilename,
+    writeCredentialFile,
+    createBadgeIssuer
+};
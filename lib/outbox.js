@@ -0,0 +1,133 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createDurableQueue } = require('./durable-queue');
+
+// Issuance outbox: a rendered certificate is written to disk and queued; a background worker
+// uploads it to the credential provider, retrying with backoff. Registry status moves queued -> uploaded
+// (or upload_failed, reported to onFailed). A certificate's Open Badges credential (JSON) is uploaded to
+// the same collection right after it, so the next stamp covers both.
+//
+// onUploaded (stamp scheduling, webhooks, xAPI, email) runs once the job is done, outside the retried
+// upload, and at most once per certificate (the registry keeps announcedAt), so a failing side effect
+// never repeats the upload or the others.
+
+function createIssuanceOutbox({ filePath, filesDir, provider, registry, onUploaded, onFailed, maxAttempts, baseDelayMs, maxDelayMs }) {
+    async function handle(job, { checkpoint }) {
+        const p = job.payload;
+        const reqId = `outbox:${p.certificateId}`;
+
+        if (!p.fileHash) {
+            const buffer = await fs.readFile(p.filePath);
+            const { hash } = await provider.uploadFile({
+                collection: p.collection,
+                buffer,
+                filename: p.filename,
+                contentType: p.contentType
+            }, reqId);
+            await checkpoint({ fileHash: hash, uploadedAt: new Date().toISOString() });
+            await registry.update(p.certificateId, { status: 'uploaded', fileHash: hash, uploadedAt: p.uploadedAt, error: null });
+        }
+
+        if (p.credential && !p.credential.fileHash) {
+            const { hash } = await provider.uploadFile({
+                collection: p.collection,
+                buffer: await fs.readFile(p.credential.filePath),
+                filename: p.credential.filename,
+                contentType: p.credential.contentType
+            }, reqId);
+            await checkpoint({ credential: { ...p.credential, fileHash: hash } });
+            await registry.update(p.certificateId, { credentialHash: hash });
+        }
+
+        for (const filePath of [p.filePath, p.credential && p.credential.filePath].filter(Boolean)) {
+            try {
+                await fs.unlink(filePath);
+            } catch (e) {
+                if (e.code !== 'ENOENT') console.warn(`[${reqId}] Could not delete queued certificate file: ${e.message}`);
+            }
+        }
+    }
+
+    // Post-upload side effects, once per certificate
+    async function announce(p) {
+        const record = registry.get(p.certificateId);
+        if (!onUploaded || !record || record.announcedAt) return;
+        await registry.update(p.certificateId, { announcedAt: new Date().toISOString() });
+        await onUploaded(p);
+    }
+
+    async function handleFailed(job) {
+        const p = job.payload;
+        if (p.fileHash) {
+            // The certificate itself is published (only its credential upload gave up): keep it issued
+            await registry.update(p.certificateId, { error: `Credential upload failed: ${job.lastError}` });
+            await announce(p);
+            return;
+        }
+        const record = await registry.update(p.certificateId, { status: 'upload_failed', error: job.lastError });
+        if (onFailed) await onFailed(record);
+    }
+
+    const queue = createDurableQueue({
+        name: 'outbox',
+        filePath,
+        handler: handle,
+        onDone: (job) => announce(job.payload),
+        onFailed: handleFailed,
+        maxAttempts,
+        baseDelayMs,
+        maxDelayMs
+    });
+
+    // Persist the rendered file (and credential: { buffer, filename, contentType }, if any) and queue
+    // its upload + stamp. The job ID is the certificate ID. If the files cannot be stored, the record
+    // becomes upload_failed (so it is not handed out as a pending certificate forever) and this throws.
+    async function enqueue({ certificateId, quiz, collection, buffer, filename, contentType, credential = null }) {
+        const storedPath = path.join(filesDir, filename);
+        let storedCredential = null;
+        try {
+            await fs.mkdir(filesDir, { recursive: true });
+            await fs.writeFile(storedPath, buffer);
+            if (credential) {
+                storedCredential = { filePath: path.join(filesDir, credential.filename), filename: credential.filename, contentType: credential.contentType, fileHash: null };
+                await fs.writeFile(storedCredential.filePath, credential.buffer);
+            }
+        } catch (e) {
+            console.error(`[outbox] Could not queue ${certificateId}: ${e.message}`);
+            await registry.update(certificateId, { status: 'upload_failed', error: `Could not queue upload: ${e.message}` })
+                .catch((err) => console.error(`[outbox] Could not mark ${certificateId} upload_failed: ${err.message}`));
+            throw e;
+        }
+        return queue.enqueue({
+            certificateId,
+            quiz,
+            collection,
+            filename,
+            contentType,
+            filePath: storedPath,
+            fileHash: null,
+            uploadedAt: null,
+            credential: storedCredential
+        }, { id: certificateId });
+    }
+
+    async function replay(id) {
+        const job = queue.get(id);
+        if (job && job.state === 'failed') {
+            // A published certificate keeps its stamp status; only the credential upload is retried
+            await registry.update(job.payload.certificateId, job.payload.fileHash ? { error: null } : { status: 'queued', error: null });
+        }
+        return queue.replay(id);
+    }
+
+    return {
+        load: queue.load,
+        start: queue.start,
+        enqueue,
+        replay,
+        get: queue.get,
+        list: queue.list
+    };
+}
+
+module.exports = { createIssuanceOutbox };
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Chainletter Credential Server webhook API provider.
+// Collections are addressed with the 'group-id' header; the API key is part of the URL.
+
+function createChainletterProvider({ baseUrl, apiKey, apiSecret, network, gatewayUrl }) {
+    const webhookUrl = () => `${baseUrl}/webhook/${apiKey}`;
+    const headersFor = (collection, extra) => ({
+        'secret-key': apiSecret,
+        'group-id': collection,
+        'network': network,
+        ...extra
+    });
+
+    // POST a file into a collection (creates the collection if it doesn't exist). Returns { hash, raw }.
+    async function uploadFile({ collection, buffer, filename, contentType }, reqId) {
+        const formData = new FormData();
+        formData.append('file', buffer, { filename, contentType });
+        const uploadUrl = webhookUrl();
+        console.log(`[${reqId || 'chainletter'}] POST ${uploadUrl} (collection="${collection}", filename=${filename})`);
+        const response = await axios.post(uploadUrl, formData, {
+            headers: headersFor(collection, formData.getHeaders())
+        });
+        console.log(`[${reqId || 'chainletter'}] Upload response status: ${response.status}`);
+        try {
+            console.log(`[${reqId || 'chainletter'}] Upload response data keys: ${Object.keys(response.data || {}).join(', ')}`);
+        } catch (_) { }
+        if (!response.data?.hash) {
+            throw new Error('Upload response has no file hash');
+        }
+        return { hash: response.data.hash, raw: response.data };
+    }
+
+    // PATCH the collection to stamp every unstamped file in it
+    async function stampCollection(collection, reqId) {
+        const stampUrl = webhookUrl();
+        console.log(`[${reqId || 'chainletter'}] Patching collection (stamp)… ${stampUrl} (collection="${collection}")`);
+        const response = await axios.patch(stampUrl, {}, {
+            headers: headersFor(collection, { 'Content-Type': 'application/json' })
+        });
+        if (response.status !== 200) {
+            throw new Error(`Stamp request returned HTTP ${response.status}`);
+        }
+        return { status: response.status, raw: response.data };
+    }
+
+    // GET the collection listing (file entries include hash, name, size, created_at, is_stamped, gatewayurl)
+    async function listCollectionFiles(collection) {
+        const response = await axios.get(webhookUrl(), { headers: headersFor(collection) });
+        if (!response.data || !Array.isArray(response.data.files)) {
+            throw new Error('Invalid response format: no files array in response');
+        }
+        return response.data.files;
+    }
+
+    // GET blockchain details and claim permalinks for one file
+    async function getFileStatus(collection, hash) {
+        const response = await axios.get(webhookUrl(), {
+            headers: headersFor(collection, { 'hash': hash, 'export-links': 'true' })
+        });
+        return response.data;
+    }
+
+    // Public URL the browser can load the file from
+    function fileUrl(hash) {
+        return `${gatewayUrl}/ipfs/${hash}`;
+    }
+
+    return { name: 'chainletter', uploadFile, stampCollection, listCollectionFiles, getFileStatus, fileUrl };
+}
+
+module.exports = { createChainletterProvider };
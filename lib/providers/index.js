@@ -0,0 +1,25 @@
+const { createChainletterProvider } = require('./chainletter');
+const { createLocalProvider } = require('./local');
+
+// Credential backends. Every provider exposes the same operations:
+//   uploadFile({ collection, buffer, filename, contentType }, reqId) -> { hash, raw }
+//   stampCollection(collection, reqId)                               -> { status, raw }
+//   listCollectionFiles(collection)                                  -> [{ hash, name, size, created_at, is_stamped, gatewayurl }]
+//   getFileStatus(collection, hash)                                  -> { data: { foreign_tx_id, contract, created }, export_data: { permalinks } }
+//   fileUrl(hash)                                                    -> URL the browser can load the file from
+// and optionally readFile(hash) -> { buffer, contentType } when the server should serve files itself.
+
+const PROVIDERS = {
+    chainletter: createChainletterProvider,
+    local: createLocalProvider
+};
+
+function createProvider(name, options) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown credential provider '${name}' (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Local filesystem provider for offline development and CI.
+// Files are stored under storageDir/files/<cid>, collections are tracked in storageDir/index.json,
+// and stamping is simulated: a stamp request marks the collection's files stamped after a delay.
+
+const LOCAL_CONTRACT = '0x000000000000000000000000000000000000c0de';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+// CIDv1 (raw codec, sha2-256) in base32 multibase, the same form IPFS uses for single-block raw files
+function computeCid(buffer) {
+    const digest = crypto.createHash('sha256').update(buffer).digest();
+    const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]);
+    return `b${base32(bytes)}`;
+}
+
+function createLocalProvider({ storageDir, publicBaseUrl, stampDelayMs }) {
+    const indexPath = path.join(storageDir, 'index.json');
+    const filesDir = path.join(storageDir, 'files');
+    let index = null; // { collections: { [name]: { files: [...] } } }
+    let writeChain = Promise.resolve();
+
+    async function loadIndex() {
+        if (index) return index;
+        try {
+            index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.warn(`[local] Could not read ${indexPath}: ${e.message}`);
+            index = { collections: {} };
+        }
+        // Resume simulated stamps that were pending when the process stopped
+        for (const collection of Object.keys(index.collections)) {
+            if (index.collections[collection].files.some((f) => f.stamp_requested_at && !f.is_stamped)) {
+                scheduleStamp(collection);
+            }
+        }
+        return index;
+    }
+
+    // Writes are serialized; a failed one is reported to its caller without blocking the next
+    function saveIndex() {
+        const write = writeChain.then(async () => {
+            await fs.mkdir(storageDir, { recursive: true });
+            const tmpPath = `${indexPath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(index, null, 2), 'utf8');
+            await fs.rename(tmpPath, indexPath);
+        });
+        writeChain = write.catch(() => {});
+        return write;
+    }
+
+    function collectionEntry(collection) {
+        if (!index.collections[collection]) index.collections[collection] = { files: [] };
+        return index.collections[collection];
+    }
+
+    function fileUrl(hash) {
+        return `${publicBaseUrl}/local-files/${hash}`;
+    }
+
+    async function uploadFile({ collection, buffer, filename, contentType }, reqId) {
+        await loadIndex();
+        const hash = computeCid(buffer);
+        await fs.mkdir(filesDir, { recursive: true });
+        await fs.writeFile(path.join(filesDir, hash), buffer);
+        const entry = collectionEntry(collection);
+        if (!entry.files.some((f) => f.hash === hash)) {
+            entry.files.push({
+                hash,
+                name: filename,
+                size: buffer.length,
+                content_type: contentType,
+                created_at: new Date().toISOString(),
+                is_stamped: false
+            });
+        }
+        await saveIndex();
+        console.log(`[${reqId || 'local'}] Stored ${filename} in local collection "${collection}" as ${hash}`);
+        return { hash, raw: { hash } };
+    }
+
+    function scheduleStamp(collection) {
+        const timer = setTimeout(() => {
+            const entry = collectionEntry(collection);
+            const now = new Date();
+            const txId = `0x${crypto.createHash('sha256').update(`${collection}:${now.getTime()}:${entry.files.map((f) => f.hash).join(',')}`).digest('hex')}`;
+            let count = 0;
+            for (const file of entry.files) {
+                if (file.is_stamped || !file.stamp_requested_at) continue;
+                file.is_stamped = true;
+                file.stamped_at = now.toISOString();
+                file.tx_id = txId;
+                count++;
+            }
+            if (count > 0) {
+                console.log(`[local] Simulated stamp of ${count} file(s) in "${collection}" (tx ${txId.slice(0, 18)}…)`);
+                saveIndex().catch((e) => console.error(`[local] Failed to save index: ${e.message}`));
+            }
+        }, stampDelayMs);
+        timer.unref();
+    }
+
+    async function stampCollection(collection, reqId) {
+        await loadIndex();
+        const entry = collectionEntry(collection);
+        const requestedAt = new Date().toISOString();
+        for (const file of entry.files) {
+            if (!file.is_stamped && !file.stamp_requested_at) file.stamp_requested_at = requestedAt;
+        }
+        await saveIndex();
+        scheduleStamp(collection);
+        console.log(`[${reqId || 'local'}] Stamp requested for local collection "${collection}" (completes in ${stampDelayMs}ms)`);
+        return { status: 200, raw: { message: 'Stamp scheduled' } };
+    }
+
+    async function listCollectionFiles(collection) {
+        await loadIndex();
+        const entry = index.collections[collection];
+        return (entry ? entry.files : []).map((f) => ({ ...f, gatewayurl: fileUrl(f.hash) }));
+    }
+
+    async function getFileStatus(collection, hash) {
+        await loadIndex();
+        const entry = index.collections[collection];
+        const file = entry ? entry.files.find((f) => f.hash === hash) : null;
+        if (!file) {
+            const error = new Error('File hash not found in collection');
+            error.status = 404;
+            throw error;
+        }
+        return {
+            hash,
+            data: file.is_stamped ? {
+                foreign_tx_id: file.tx_id,
+                contract: LOCAL_CONTRACT,
+                network: 'local',
+                created: Math.floor(new Date(file.stamped_at).getTime() / 1000)
+            } : {},
+            export_data: {
+                permalinks: [{ cid: hash, shorturl: fileUrl(hash) }]
+            }
+        };
+    }
+
+    // Read a stored file for the /local-files route. Returns { buffer, contentType } or null.
+    async function readFile(hash) {
+        await loadIndex();
+        if (!/^b[a-z2-7]+$/.test(hash)) return null;
+        let contentType = 'application/octet-stream';
+        for (const entry of Object.values(index.collections)) {
+            const file = entry.files.find((f) => f.hash === hash);
+            if (file && file.content_type) contentType = file.content_type;
+        }
+        try {
+            return { buffer: await fs.readFile(path.join(filesDir, hash)), contentType };
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    return { name: 'local', uploadFile, stampCollection, listCollectionFiles, getFileStatus, fileUrl, readFile };
+}
+
+module.exports = { computeCid, createLocalProvider };
@@ -0,0 +1,361 @@
+const path = require('path');
+const fsSync = require('fs');
+const { validateQuestion } = require('./grading');
+const { validateOutputOptions } = require('./certificate-output');
+const { validateFieldValues } = require('./templates');
+const { DEFAULT_LOCALE, normalizeLocale } = require('./i18n');
+
+// Quiz catalog: every *.json file in the quizzes directory becomes a quiz addressable by slug.
+// A legacy single quiz file (QUIZ env) is still honoured and becomes the default quiz.
+//
+// quiz.questions is the full question bank: the fixed "questions" followed by every pool in
+// "sections". quiz.sections describes how an attempt draws from the bank:
+//   { name, draw, indices, fixed, source } where indices point into quiz.questions.
+//
+// quiz.locale is the language the file is written in; quiz.translations maps other locales to
+//   { title, description, questions: [...], sections: [{ name, questions: [...] }], grades, fields, email }
+// where each translated question ({ question, options, accepted }) lines up with the original.
+//
+// quiz.email optionally overrides the certificate email: { subject, text, html } templates using
+// {name}, {title}, {claimUrl}, {verifyUrl}, {certificateId}, {score} and {grade}.
+
+function slugify(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 64);
+}
+
+function normalizeQuiz(loaded, filePath, defaults) {
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const quiz = {
+        slug: slugify(baseName),
+        title: 'Quiz',
+        description: '',
+        template: null, // optional per-quiz template override
+        collection: defaults.collection,
+        output: null, // optional { formats, primary, dpi, pageSize } certificate output override
+        fields: null, // optional { PLACEHOLDER: "value" } for the certificate template
+        email: null, // optional { subject, text, html } certificate email templates
+        passThreshold: 100, // percent of available points required for a certificate
+        gradeBands: null, // optional [{ min, label }]; falls back to the default bands
+        locale: DEFAULT_LOCALE, // language of the quiz file itself
+        translations: {}, // { [locale]: translation } keyed by canonical locale tag
+        questions: [],
+        sections: [],
+        file: filePath
+    };
+    const addSection = (questions, { name = null, draw, fixed, source }) => {
+        const start = quiz.questions.length;
+        quiz.questions.push(...questions);
+        quiz.sections.push({
+            name,
+            draw: draw === undefined ? questions.length : draw,
+            indices: questions.map((_, i) => start + i),
+            fixed,
+            source
+        });
+    };
+    if (Array.isArray(loaded)) {
+        addSection(loaded, { fixed: true, source: 'questions' });
+    } else if (loaded && typeof loaded === 'object') {
+        if (typeof loaded.slug === 'string' && slugify(loaded.slug)) quiz.slug = slugify(loaded.slug);
+        quiz.title = loaded.title || 'Quiz';
+        quiz.description = typeof loaded.description === 'string' ? loaded.description : '';
+        if (Array.isArray(loaded.questions) && loaded.questions.length > 0) {
+            addSection(loaded.questions, { fixed: true, source: 'questions' });
+        }
+        if (Array.isArray(loaded.sections)) {
+            loaded.sections.forEach((section, k) => {
+                const pool = section && Array.isArray(section.questions) ? section.questions : [];
+                addSection(pool, {
+                    name: section && typeof section.name === 'string' ? section.name : null,
+                    draw: section ? section.draw : undefined,
+                    fixed: false,
+                    source: `sections[${k}]`
+                });
+            });
+        } else if (loaded.sections !== undefined) {
+            quiz.sections = null;
+        }
+        if (typeof loaded.template === 'string' && loaded.template.trim().length > 0) {
+            quiz.template = loaded.template.trim();
+        }
+        if (typeof loaded.collection === 'string' && loaded.collection.trim().length > 0) {
+            quiz.collection = loaded.collection.trim();
+        }
+        if (loaded.output !== undefined) quiz.output = loaded.output;
+        if (loaded.fields !== undefined) quiz.fields = loaded.fields;
+        if (loaded.email !== undefined) quiz.email = loaded.email;
+        if (loaded.passThreshold !== undefined) quiz.passThreshold = loaded.passThreshold;
+        if (loaded.gradeBands !== undefined) quiz.gradeBands = loaded.gradeBands;
+        if (loaded.locale !== undefined) quiz.locale = normalizeLocale(loaded.locale);
+        if (loaded.translations !== undefined) {
+            if (loaded.translations && typeof loaded.translations === 'object' && !Array.isArray(loaded.translations)) {
+                quiz.translations = {};
+                for (const [tag, translation] of Object.entries(loaded.translations)) {
+                    quiz.translations[normalizeLocale(tag) || tag] = translation;
+                }
+            } else {
+                quiz.translations = null;
+            }
+        }
+    }
+    return quiz;
+}
+
+// Returns a list of problems with a normalized quiz (empty when valid)
+function validateQuiz(quiz) {
+    const errors = [];
+    if (typeof quiz.passThreshold !== 'number' || quiz.passThreshold < 0 || quiz.passThreshold > 100) {
+        errors.push('"passThreshold" must be a number between 0 and 100');
+    }
+    if (quiz.gradeBands !== null) {
+        const validBands = Array.isArray(quiz.gradeBands) && quiz.gradeBands.every((b) =>
+            b && typeof b.min === 'number' && typeof b.label === 'string');
+        if (!validBands) errors.push('"gradeBands" must be an array of { "min": <percent>, "label": "..." }');
+    }
+    if (quiz.output !== null) errors.push(...validateOutputOptions(quiz.output));
+    if (quiz.fields !== null) errors.push(...validateFieldValues(quiz.fields));
+    if (quiz.email !== null) errors.push(...validateEmailTemplates(quiz.email, 'email'));
+    if (!quiz.locale) errors.push('"locale" must be a language tag such as "en" or "es-MX"');
+    if (!Array.isArray(quiz.sections)) {
+        errors.push('"sections" must be an array of { "name", "draw", "questions" }');
+        return errors;
+    }
+    if (quiz.translations === null) {
+        errors.push('"translations" must be an object keyed by language tag');
+    } else {
+        for (const [tag, translation] of Object.entries(quiz.translations)) {
+            errors.push(...validateTranslation(quiz, tag, translation));
+        }
+    }
+    for (const section of quiz.sections) {
+        if (!section.fixed && section.indices.length === 0) {
+            errors.push(`${section.source}: "questions" must be a non-empty array`);
+        }
+        if (!Number.isInteger(section.draw) || section.draw < 1 || section.draw > section.indices.length) {
+            errors.push(`${section.source}: "draw" must be a whole number between 1 and ${section.indices.length}`);
+        }
+        section.indices.forEach((index, j) => {
+            errors.push(...validateQuestion(quiz.questions[index], `${section.source === 'questions' ? 'questions' : `${section.source}.questions`}[${j}]`));
+        });
+    }
+    if (questionsPerAttempt(quiz) === 0) {
+        errors.push('at least one question is required');
+    }
+    return errors;
+}
+
+// Translated counterpart of sections[k] (null when absent or for the fixed "questions")
+function translatedSection(translation, source) {
+    if (source === 'questions' || !Array.isArray(translation.sections)) return null;
+    const section = translation.sections[parseInt(source.slice('sections['.length), 10)];
+    return section && typeof section === 'object' ? section : null;
+}
+
+// Translated questions for one section of the original ("questions" or "sections[k]")
+function translatedPool(translation, source) {
+    if (source === 'questions') return translation.questions;
+    const section = translatedSection(translation, source);
+    return section ? section.questions : undefined;
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string');
+
+const EMAIL_TEMPLATE_KEYS = ['subject', 'text', 'html'];
+
+// Returns a list of problems with an "email" templates object
+function validateEmailTemplates(email, label) {
+    if (!email || typeof email !== 'object' || Array.isArray(email)) return [`${label} must be an object of { "subject", "text", "html" }`];
+    const errors = [];
+    for (const [key, value] of Object.entries(email)) {
+        if (!EMAIL_TEMPLATE_KEYS.includes(key)) errors.push(`${label}: unknown key "${key}"`);
+        else if (typeof value !== 'string' || value.trim() === '') errors.push(`${label}.${key} must be a non-empty string`);
+    }
+    return errors;
+}
+
+// Returns a list of problems with one entry of "translations"
+function validateTranslation(quiz, tag, translation) {
+    const label = `translations.${tag}`;
+    if (!normalizeLocale(tag)) return [`${label}: "${tag}" is not a language tag`];
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation)) return [`${label} must be an object`];
+    const errors = [];
+    for (const prop of ['title', 'description']) {
+        if (translation[prop] !== undefined && typeof translation[prop] !== 'string') errors.push(`${label}.${prop} must be a string`);
+    }
+    if (translation.grades !== undefined && !(translation.grades && typeof translation.grades === 'object' &&
+        !Array.isArray(translation.grades) && Object.values(translation.grades).every((v) => typeof v === 'string'))) {
+        errors.push(`${label}.grades must be an object of { "Grade label": "translated label" }`);
+    }
+    if (translation.fields !== undefined) errors.push(...validateFieldValues(translation.fields, `${label}.fields`));
+    if (translation.email !== undefined) errors.push(...validateEmailTemplates(translation.email, `${label}.email`));
+    if (translation.sections !== undefined && !Array.isArray(translation.sections)) {
+        errors.push(`${label}.sections must be an array parallel to "sections"`);
+    }
+    for (const section of quiz.sections) {
+        const pool = translatedPool(translation, section.source);
+        const where = `${label}.${section.source === 'questions' ? 'questions' : `${section.source}.questions`}`;
+        if (pool === undefined || pool === null) continue;
+        if (!Array.isArray(pool) || pool.length !== section.indices.length) {
+            errors.push(`${where} must be an array of ${section.indices.length} translated question(s)`);
+            continue;
+        }
+        pool.forEach((entry, j) => {
+            if (entry === null) return;
+            const original = quiz.questions[section.indices[j]];
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${where}[${j}] must be an object or null`);
+                return;
+            }
+            if (entry.question !== undefined && typeof entry.question !== 'string') errors.push(`${where}[${j}].question must be a string`);
+            if (entry.options !== undefined) {
+                const count = original && Array.isArray(original.options) ? original.options.length : 0;
+                if (!isStringArray(entry.options) || entry.options.length !== count) {
+                    errors.push(`${where}[${j}].options must be ${count} string(s) in the original order`);
+                }
+            }
+            if (entry.accepted !== undefined && !isStringArray(entry.accepted)) errors.push(`${where}[${j}].accepted must be an array of strings`);
+        });
+    }
+    return errors;
+}
+
+// Locales a quiz can be taken in (its own first)
+function quizLocales(quiz) {
+    return [quiz.locale, ...Object.keys(quiz.translations || {}).filter((tag) => tag !== quiz.locale)];
+}
+
+// The quiz as seen in one locale: { locale, title, description, questions, sectionNames, grades, fields, email }.
+// questions lines up with quiz.questions; translated text questions also accept the original answers.
+// Locales without a translation get the original text.
+function localizeQuiz(quiz, locale) {
+    const translation = locale && locale !== quiz.locale && quiz.translations ? quiz.translations[locale] : null;
+    if (!translation) {
+        return {
+            locale: quiz.locale,
+            title: quiz.title,
+            description: quiz.description,
+            questions: quiz.questions,
+            sectionNames: quiz.sections.map((section) => section.name),
+            grades: {},
+            fields: quiz.fields || {},
+            email: quiz.email || {}
+        };
+    }
+    const questions = quiz.questions.slice();
+    const sectionNames = quiz.sections.map((section) => {
+        const pool = translatedPool(translation, section.source) || [];
+        section.indices.forEach((index, j) => {
+            const entry = pool[j];
+            if (!entry) return;
+            const localized = { ...questions[index] };
+            if (entry.question) localized.question = entry.question;
+            if (entry.options) localized.options = entry.options;
+            if (entry.accepted) localized.accepted = [...new Set([...(localized.accepted || []), ...entry.accepted])];
+            questions[index] = localized;
+        });
+        const named = translatedSection(translation, section.source);
+        return named && typeof named.name === 'string' ? named.name : section.name;
+    });
+    return {
+        locale,
+        title: translation.title || quiz.title,
+        description: typeof translation.description === 'string' ? translation.description : quiz.description,
+        questions,
+        sectionNames,
+        grades: translation.grades || {},
+        fields: { ...(quiz.fields || {}), ...(translation.fields || {}) },
+        email: translation.email || {}
+    };
+}
+
+// Number of questions served to each attempt
+function questionsPerAttempt(quiz) {
+    return (quiz.sections || []).reduce((sum, section) => sum + (Number.isInteger(section.draw) ? section.draw : 0), 0);
+}
+
+// Normalize and validate parsed quiz JSON as if it were stored at filePath. Returns { quiz, errors }.
+function compileQuiz(loaded, filePath, defaults) {
+    const quiz = normalizeQuiz(loaded, filePath, defaults);
+    if (!quiz.slug) return { quiz, errors: ['could not derive a slug'] };
+    return { quiz, errors: validateQuiz(quiz) };
+}
+
+function loadQuizFile(filePath, defaults) {
+    const raw = fsSync.readFileSync(filePath, 'utf8');
+    return compileQuiz(JSON.parse(raw), filePath, defaults);
+}
+
+// Load all quizzes. Returns { quizzes: Map<slug, quiz>, defaultSlug }.
+function loadQuizCatalog({ quizzesDir, legacyFile, defaultSlug, defaultCollection }) {
+    const defaults = { collection: defaultCollection };
+    const quizzes = new Map();
+    const add = (filePath) => {
+        try {
+            const { quiz, errors } = loadQuizFile(filePath, defaults);
+            if (errors.length > 0) {
+                console.error(`[quiz] Skipping ${filePath}: ${errors.join('; ')}`);
+                return null;
+            }
+            if (quizzes.has(quiz.slug)) {
+                console.warn(`[quiz] Duplicate slug '${quiz.slug}' in ${filePath}; keeping ${quizzes.get(quiz.slug).file}`);
+                return quizzes.get(quiz.slug);
+            }
+            quizzes.set(quiz.slug, quiz);
+            console.log(`[quiz] Loaded ${filePath} (slug: ${quiz.slug}, title: ${quiz.title}, questions: ${questionsPerAttempt(quiz)} of ${quiz.questions.length}, locales: ${quizLocales(quiz).join(", ")}, collection: ${quiz.collection})`);
+            return quiz;
+        } catch (e) {
+            console.error(`[quiz] Failed to load quiz file '${filePath}':`, e.message);
+            return null;
+        }
+    };
+
+    let entries = [];
+    try {
+        entries = fsSync.readdirSync(quizzesDir).filter((f) => f.toLowerCase().endsWith('.json')).sort();
+    } catch (e) {
+        console.warn(`[quiz] Quizzes directory not readable (${quizzesDir}): ${e.message}`);
+    }
+    for (const entry of entries) {
+        add(path.join(quizzesDir, entry));
+    }
+
+    let resolvedDefault = defaultSlug && quizzes.has(defaultSlug) ? defaultSlug : null;
+    if (legacyFile) {
+        const legacy = add(legacyFile);
+        if (legacy && !resolvedDefault) resolvedDefault = legacy.slug;
+    }
+    if (!resolvedDefault && quizzes.size > 0) {
+        resolvedDefault = quizzes.keys().next().value;
+    }
+    return { quizzes, defaultSlug: resolvedDefault };
+}
+
+// Public listing entry (never includes questions)
+function summarizeQuiz(quiz) {
+    return {
+        slug: quiz.slug,
+        title: quiz.title,
+        description: quiz.description,
+        collection: quiz.collection,
+        passThreshold: quiz.passThreshold,
+        questionCount: questionsPerAttempt(quiz),
+        locales: quizLocales(quiz)
+    };
+}
+
+module.exports = {
+    slugify,
+    loadQuizCatalog,
+    compileQuiz,
+    validateQuiz,
+    questionsPerAttempt,
+    quizLocales,
+    localizeQuiz,
+    summarizeQuiz
+};
@@ -0,0 +1,205 @@
+// Abuse protection for quiz submissions. Each graded submission counts against the client IP and the
+// learner (sanitized name, and email when given) as seen from that IP, so failing under someone else's
+// name elsewhere cannot lock them out:
+//   - attempts: at most attemptsPerIp / attemptsPerLearner graded submissions per windowMs
+//   - cooldown: after a failed attempt the learner waits cooldownMs before submitting again, doubling
+//     with every further failure up to maxCooldownMs (a pass resets it)
+//   - certificates: at most certificatesPerIp / certificatesPerLearner (by name or email, from any IP)
+//     newly minted certificates per key and certificatesPerDay in total in any 24 hours
+// A limit of 0 is off. State lives in memory, so limits are per process and reset on restart.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createSubmitLimiter({
+    windowMs = 15 * 60 * 1000,
+    attemptsPerIp = 0,
+    attemptsPerLearner = 0,
+    cooldownMs = 0,
+    maxCooldownMs = cooldownMs,
+    certificatesPerIp = 0,
+    certificatesPerLearner = 0,
+    certificatesPerDay = 0
+} = {}) {
+    // key -> { attempts: [ms], certificates: [ms], failures, cooldownUntil }
+    const entries = new Map();
+    let issued = [];
+
+    const isIp = (key) => key.startsWith('ip:') && !key.includes('|');
+    const since = (times, ms, now) => times.filter((t) => t > now - ms);
+
+    // Forget keys with nothing left to enforce so the map does not grow unbounded
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, e] of entries) {
+            e.attempts = since(e.attempts, windowMs, now);
+            e.certificates = since(e.certificates, DAY_MS, now);
+            if (e.attempts.length === 0 && e.certificates.length === 0 && e.cooldownUntil <= now) entries.delete(key);
+        }
+        issued = since(issued, DAY_MS, now);
+    }, 5 * 60 * 1000);
+    sweep.unref();
+
+    function entry(key) {
+        let e = entries.get(key);
+        if (!e) {
+            e = { attempts: [], certificates: [], failures: 0, cooldownUntil: 0 };
+            entries.set(key, e);
+        }
+        return e;
+    }
+
+    // Keys a submission counts against: { attempts, certificates }
+    function keysFor({ ip, name, email }) {
+        const client = `ip:${ip || 'unknown'}`;
+        const learner = [
+            name ? `name:${name.toLowerCase()}` : null,
+            email ? `email:${email.toLowerCase()}` : null
+        ].filter(Boolean);
+        return {
+            attempts: [client, ...learner.map((key) => `${client}|${key}`)],
+            certificates: [client, ...learner]
+        };
+    }
+
+    // The longest wait among the limits hit, or null
+    function longest(limits) {
+        return limits.filter(Boolean).reduce((a, b) => (!a || b.retryAfterMs > a.retryAfterMs ? b : a), null);
+    }
+
+    // Whether a submission may be graded now. Returns null, or { code: 'rate_limited' | 'cooldown', key, retryAfterMs }.
+    function checkAttempt(keys) {
+        const now = Date.now();
+        return longest(keys.attempts.map((key) => {
+            const e = entries.get(key);
+            if (!e) return null;
+            if (e.cooldownUntil > now) {
+                return { code: 'cooldown', key, retryAfterMs: e.cooldownUntil - now };
+            }
+            const limit = isIp(key) ? attemptsPerIp : attemptsPerLearner;
+            e.attempts = since(e.attempts, windowMs, now);
+            if (limit > 0 && e.attempts.length >= limit) {
+                return { code: 'rate_limited', key, retryAfterMs: e.attempts[e.attempts.length - limit] + windowMs - now };
+            }
+            return null;
+        }));
+    }
+
+    // Count a graded submission. A failed one starts (or lengthens) the learner's cooldown; the IP gets
+    // none, since a classroom behind one address should not wait on each other.
+    function recordAttempt(keys, passed) {
+        const now = Date.now();
+        for (const key of keys.attempts) {
+            const e = entry(key);
+            e.attempts.push(now);
+            if (isIp(key)) continue;
+            if (passed) {
+                e.failures = 0;
+                e.cooldownUntil = 0;
+            } else if (cooldownMs > 0) {
+                e.failures++;
+                e.cooldownUntil = now + Math.min(cooldownMs * 2 ** (e.failures - 1), maxCooldownMs);
+            }
+        }
+    }
+
+    // Whether a new certificate may be minted. Returns null, or { code: 'certificate_limit', key, retryAfterMs }.
+    function checkCertificate(keys) {
+        const now = Date.now();
+        issued = since(issued, DAY_MS, now);
+        const total = certificatesPerDay > 0 && issued.length >= certificatesPerDay
+            ? { code: 'certificate_limit', key: '*', retryAfterMs: issued[issued.length - certificatesPerDay] + DAY_MS - now }
+            : null;
+        return longest([total, ...keys.certificates.map((key) => {
+            const e = entries.get(key);
+            if (!e) return null;
+            const limit = isIp(key) ? certificatesPerIp : certificatesPerLearner;
+            e.certificates = since(e.certificates, DAY_MS, now);
+            if (limit > 0 && e.certificates.length >= limit) {
+                return { code: 'certificate_limit', key, retryAfterMs: e.certificates[e.certificates.length - limit] + DAY_MS - now };
+            }
+            return null;
+        })]);
+    }
+
+    // Count a certificate about to be minted. Returns a function that takes it back if issuance fails.
+    function recordCertificate(keys) {
+        const now = Date.now();
+        const lists = [issued, ...keys.certificates.map((key) => entry(key).certificates)];
+        for (const times of lists) times.push(now);
+        return () => {
+            for (const times of [issued, ...keys.certificates.map((key) => entry(key).certificates)]) {
+                const i = times.lastIndexOf(now);
+                if (i !== -1) times.splice(i, 1);
+            }
+        };
+    }
+
+    return { keysFor, checkAttempt, recordAttempt, checkCertificate, recordCertificate };
+}
+
+// Learner-requested certificate emails: at most perCertificate per certificate and perIp per client IP
+// in any windowMs (0 is off). Every request counts, matching address or not, so the endpoint cannot be
+// used to guess a certificate's address or to flood an inbox. Returns { hit }.
+function createResendLimiter({ windowMs = 60 * 60 * 1000, perCertificate = 0, perIp = 0 } = {}) {
+    const hits = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, times] of hits) {
+            const recent = times.filter((t) => t > now - windowMs);
+            if (recent.length === 0) hits.delete(key);
+            else hits.set(key, recent);
+        }
+    }, 5 * 60 * 1000);
+    sweep.unref();
+
+    // Count a request. Returns null, or { code: 'rate_limited', key, retryAfterMs } (not counted).
+    function hit({ ip, certificateId }) {
+        const now = Date.now();
+        const keys = [[`ip:${ip || 'unknown'}`, perIp], [`cert:${certificateId}`, perCertificate]];
+        let limited = null;
+        for (const [key, limit] of keys) {
+            const times = (hits.get(key) || []).filter((t) => t > now - windowMs);
+            hits.set(key, times);
+            if (limit > 0 && times.length >= limit) {
+                const retryAfterMs = times[times.length - limit] + windowMs - now;
+                if (!limited || retryAfterMs > limited.retryAfterMs) limited = { code: 'rate_limited', key, retryAfterMs };
+            }
+        }
+        if (limited) return limited;
+        for (const [key] of keys) hits.get(key).push(now);
+        return null;
+    }
+
+    return { hit };
+}
+
+// Run at most `limit` tasks at once; the rest wait their turn in order. Returns { run, stats }.
+function createSemaphore(limit) {
+    let active = 0;
+    const waiting = [];
+
+    // A finished task hands its slot straight to the next waiter
+    function release() {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+    }
+
+    async function run(task) {
+        if (active >= limit) {
+            await new Promise((resolve) => waiting.push(resolve));
+        } else {
+            active++;
+        }
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+
+    return { run, stats: () => ({ limit, active, waiting: waiting.length }) };
+}
+
+module.exports = { createSubmitLimiter, createResendLimiter, createSemaphore };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Persistent issuance registry backed by an append-only JSON Lines file.
+// Every line is the full, latest state of one certificate; on load the last line per
+// certificateId wins. Nothing is ever rewritten in place.
+
+function generateCertificateId() {
+    // Timestamp prefix keeps IDs sortable; random suffix keeps concurrent issuances unique
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Key used to recognise the same person re-passing the same quiz
+function dedupeKey(quizSlug, name) {
+    const normalizedName = String(name || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+    return `${quizSlug}\u0000${normalizedName}`;
+}
+
+function createCertificateRegistry({ filePath }) {
+    const byId = new Map();
+    let writeChain = Promise.resolve();
+
+    async function load() {
+        let raw = '';
+        try {
+            raw = await fs.readFile(filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        let skipped = 0;
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                if (record && record.certificateId) byId.set(record.certificateId, record);
+            } catch (_) {
+                skipped++;
+            }
+        }
+        console.log(`[registry] Loaded ${byId.size} certificate(s) from ${filePath}${skipped ? ` (skipped ${skipped} unreadable line(s))` : ''}`);
+    }
+
+    // Append the record's current state; writes are serialized so lines never interleave. The caller
+    // sees its own write fail; the chain carries on for the next one.
+    function append(record) {
+        const write = writeChain.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+        });
+        writeChain = write.catch(() => {});
+        return write;
+    }
+
+    async function create(fields) {
+        const now = new Date().toISOString();
+        const record = {
+            certificateId: fields.certificateId || generateCertificateId(),
+            status: 'rendered',
+            createdAt: now,
+            updatedAt: now,
+            uploadedAt: null,
+            stampRequestedAt: null,
+            stampedAt: null,
+            fileHash: null,
+            ...fields
+        };
+        byId.set(record.certificateId, record);
+        await append(record);
+        return record;
+    }
+
+    async function update(certificateId, patch) {
+        const existing = byId.get(certificateId);
+        if (!existing) throw new Error(`Unknown certificate ${certificateId}`);
+        const record = { ...existing, ...patch, updatedAt: new Date().toISOString() };
+        byId.set(certificateId, record);
+        await append(record);
+        return record;
+    }
+
+    function get(certificateId) {
+        return byId.get(certificateId) || null;
+    }
+
+    function findByHash(hash) {
+        for (const record of byId.values()) {
+            if (record.fileHash === hash || record.sha256 === hash) return record;
+            if (record.formatHashes && Object.values(record.formatHashes).includes(hash)) return record;
+            if (record.credentialSha256 === hash || record.credentialHash === hash) return record;
+        }
+        return null;
+    }
+
+    // Most recent certificate for this person and quiz that was (or is being) issued
+    function findIssued(quizSlug, name) {
+        const key = dedupeKey(quizSlug, name);
+        let found = null;
+        for (const record of byId.values()) {
+            if (record.status === 'upload_failed') continue;
+            if (dedupeKey(record.quiz, record.name) !== key) continue;
+            if (!found || record.createdAt > found.createdAt) found = record;
+        }
+        return found;
+    }
+
+    function list() {
+        return [...byId.values()];
+    }
+
+    return { load, create, update, get, findByHash, findIssued, list };
+}
+
+// Shape returned by the lookup endpoints
+function publicCertificate(record) {
+    return {
+        certificateId: record.certificateId,
+        name: record.name,
+        quiz: record.quiz,
+        quizTitle: record.quizTitle,
+        locale: record.locale || 'en',
+        score: record.score,
+        template: record.template,
+        collection: record.collection,
+        formats: record.formats || ['png'],
+        primaryFormat: record.primaryFormat || 'png',
+        fileHash: record.fileHash,
+        // Open Badges credential: { sha256, fileHash } (fileHash once uploaded), or null
+        credential: record.credentialSha256 ? { sha256: record.credentialSha256, fileHash: record.credentialHash || null } : null,
+        status: record.status,
+        createdAt: record.createdAt,
+        uploadedAt: record.uploadedAt,
+        stampRequestedAt: record.stampRequestedAt || null,
+        stampedAt: record.stampedAt
+    };
+}
+
+module.exports = {
+    generateCertificateId,
+    dedupeKey,
+    createCertificateRegistry,
+    publicCertificate
+};
@@ -0,0 +1,196 @@
+// Batched collection stamping. Uploaded certificates wait in 'awaiting_stamp'; each collection
+// is stamped at most once per intervalMs, or straight away once batchSize files have piled up.
+// After a stamp request the collection listing is re-checked with backoff until the files are
+// reported stamped (onStamped is told about each one). Files still unconfirmed after
+// maxConfirmChecks become 'stamp_unconfirmed' for an operator to look at; stamping the collection
+// again (stampNow) retries them. Per-certificate state lives in the registry:
+//   awaiting_stamp -> stamp_requested -> stamped (or stamp_unconfirmed)
+// so pending work is rebuilt from the registry after a restart.
+
+function createStampScheduler({
+    provider,
+    registry,
+    intervalMs,
+    batchSize,
+    confirmDelayMs,
+    onStamped,
+    maxConfirmChecks = 12,
+    retryBaseMs = 5000,
+    retryMaxMs = 10 * 60 * 1000
+}) {
+    const collections = new Map();
+
+    function stateFor(collection) {
+        if (!collections.has(collection)) {
+            collections.set(collection, {
+                pending: new Set(),
+                lastStampAt: 0,
+                flushAt: null,
+                timer: null,
+                inFlight: false,
+                failures: 0,
+                confirmTimer: null
+            });
+        }
+        return collections.get(collection);
+    }
+
+    function scheduleFlush(collection, delayMs) {
+        const st = stateFor(collection);
+        const flushAt = Date.now() + Math.max(0, delayMs);
+        if (st.timer && st.flushAt <= flushAt) return;
+        if (st.timer) clearTimeout(st.timer);
+        st.flushAt = flushAt;
+        st.timer = setTimeout(() => {
+            st.timer = null;
+            st.flushAt = null;
+            flush(collection).catch(() => { /* already logged; retry scheduled */ });
+        }, Math.max(0, delayMs));
+        st.timer.unref();
+    }
+
+    // Delay until the collection may be stamped again
+    function intervalDelay(st) {
+        return Math.max(0, st.lastStampAt + intervalMs - Date.now());
+    }
+
+    async function flush(collection, { force = false } = {}) {
+        const st = stateFor(collection);
+        if (st.inFlight) return;
+        if (st.pending.size === 0 && !force) return;
+        const batch = [...st.pending];
+        st.inFlight = true;
+        try {
+            await provider.stampCollection(collection, 'stamp');
+            st.lastStampAt = Date.now();
+            st.failures = 0;
+            const requestedAt = new Date().toISOString();
+            for (const certificateId of batch) {
+                st.pending.delete(certificateId);
+                await registry.update(certificateId, { status: 'stamp_requested', stampRequestedAt: requestedAt });
+            }
+            console.log(`[stamp] Stamped "${collection}" covering ${batch.length} certificate(s)`);
+            scheduleConfirm(collection, 1);
+        } catch (e) {
+            st.failures += 1;
+            const retryMs = Math.min(retryMaxMs, retryBaseMs * Math.pow(2, st.failures - 1));
+            console.error(`[stamp] Stamp of "${collection}" failed (${st.failures}x): ${e.message}; retrying in ${retryMs}ms`);
+            scheduleFlush(collection, retryMs);
+            throw e;
+        } finally {
+            st.inFlight = false;
+            // Uploads that arrived while stamping wait for the next slot
+            if (st.pending.size > 0 && st.failures === 0) {
+                scheduleFlush(collection, st.pending.size >= batchSize ? 0 : intervalDelay(st));
+            }
+        }
+    }
+
+    // Check the collection listing until files of requested stamps are reported stamped
+    function scheduleConfirm(collection, check) {
+        const st = stateFor(collection);
+        if (st.confirmTimer) clearTimeout(st.confirmTimer);
+        const delay = Math.min(retryMaxMs, confirmDelayMs * Math.pow(2, check - 1));
+        st.confirmTimer = setTimeout(async () => {
+            st.confirmTimer = null;
+            const waiting = registry.list().filter((r) => r.collection === collection && r.status === 'stamp_requested');
+            if (waiting.length === 0) return;
+            try {
+                const files = await provider.listCollectionFiles(collection);
+                const byHash = new Map(files.map((f) => [f.hash, f]));
+                let confirmed = 0;
+                for (const record of waiting) {
+                    const file = byHash.get(record.fileHash);
+                    if (file && file.is_stamped) {
+                        await markStamped(record.certificateId, file.stamped_at);
+                        confirmed++;
+                    }
+                }
+                console.log(`[stamp] Confirmation check ${check} for "${collection}": ${confirmed}/${waiting.length} stamped`);
+                if (confirmed === waiting.length) return;
+            } catch (e) {
+                console.warn(`[stamp] Confirmation check for "${collection}" failed: ${e.message}`);
+            }
+            if (check < maxConfirmChecks) {
+                scheduleConfirm(collection, check + 1);
+                return;
+            }
+            const unconfirmed = registry.list().filter((r) => r.collection === collection && r.status === 'stamp_requested');
+            for (const record of unconfirmed) {
+                await registry.update(record.certificateId, { status: 'stamp_unconfirmed' });
+            }
+            console.error(`[stamp] ${unconfirmed.length} certificate(s) in "${collection}" still unconfirmed after ${check} checks; marked stamp_unconfirmed`);
+        }, delay);
+        st.confirmTimer.unref();
+    }
+
+    // Queue an uploaded certificate for the next stamp of its collection
+    async function add(collection, certificateId) {
+        const st = stateFor(collection);
+        await registry.update(certificateId, { status: 'awaiting_stamp' });
+        st.pending.add(certificateId);
+        if (st.inFlight) return;
+        scheduleFlush(collection, st.pending.size >= batchSize ? 0 : intervalDelay(st));
+    }
+
+    async function markStamped(certificateId, stampedAt) {
+        const record = registry.get(certificateId);
+        if (!record || record.status === 'stamped') return record;
+        const stamped = await registry.update(certificateId, { status: 'stamped', stampedAt: stampedAt || new Date().toISOString() });
+        if (onStamped) await onStamped(stamped);
+        return stamped;
+    }
+
+    // Stamp a collection now regardless of the interval (operator re-trigger); unconfirmed
+    // certificates are part of the stamp and get a fresh round of confirmation checks
+    function stampNow(collection) {
+        const st = stateFor(collection);
+        for (const record of registry.list()) {
+            if (record.collection === collection && record.status === 'stamp_unconfirmed') st.pending.add(record.certificateId);
+        }
+        return flush(collection, { force: true });
+    }
+
+    // Rebuild pending work from the registry after a restart
+    function restore() {
+        let awaiting = 0;
+        let unconfirmed = 0;
+        for (const record of registry.list()) {
+            if (record.status === 'uploaded' || record.status === 'awaiting_stamp') {
+                stateFor(record.collection).pending.add(record.certificateId);
+                awaiting++;
+            } else if (record.status === 'stamp_requested') {
+                const st = stateFor(record.collection);
+                if (!st.confirmTimer) scheduleConfirm(record.collection, 1);
+            } else if (record.status === 'stamp_unconfirmed') {
+                unconfirmed++;
+            }
+        }
+        for (const [collection, st] of collections) {
+            if (st.pending.size > 0) scheduleFlush(collection, 0);
+        }
+        console.log(`[stamp] Restored ${awaiting} certificate(s) awaiting stamp (interval ${intervalMs}ms, batch ${batchSize})`);
+        if (unconfirmed > 0) console.warn(`[stamp] ${unconfirmed} certificate(s) are stamp_unconfirmed; stamp their collection again to retry`);
+    }
+
+    // Stamp state for one certificate, as reported by the status endpoints
+    function stampState(record) {
+        const st = collections.get(record.collection);
+        const state = ['awaiting_stamp', 'stamp_requested', 'stamp_unconfirmed', 'stamped'].includes(record.status) ? record.status : null;
+        return {
+            state,
+            nextStampAt: state === 'awaiting_stamp' && st && st.flushAt ? new Date(st.flushAt).toISOString() : null,
+            stampRequestedAt: record.stampRequestedAt || null,
+            stampedAt: record.status === 'stamped' ? record.stampedAt : null
+        };
+    }
+
+    return { add, restore, markStamped, stampNow, stampState };
+}
+
+// Whether a stamp was requested for the record but not confirmed yet (also after the checks gave up)
+function awaitsStampConfirmation(record) {
+    return record.status === 'stamp_requested' || record.status === 'stamp_unconfirmed';
+}
+
+module.exports = { createStampScheduler, awaitsStampConfirmation };
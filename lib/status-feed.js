@@ -0,0 +1,171 @@
+const { publicCertificate } = require('./registry');
+const { awaitsStampConfirmation } = require('./stamp-scheduler');
+
+// Live certificate status for the complete page, pushed as server-sent events. Pages watching the same
+// certificate share one watcher. A watcher checks the registry every tickMs (cheap, local: upload and
+// stamp batches show up at once) and the credential backend from baseDelayMs, doubling up to maxDelayMs
+// while nothing changes and starting over after a change. Collection listings go through a short cache
+// shared by every watcher, so a class finishing together costs one listing per collection and interval.
+
+// Fields whose changes are named in an update's "changes"
+const WATCHED_FIELDS = ['status', 'fileHash', 'stamped', 'transactionId', 'claimUrl'];
+
+// Collection listings cached for ttlMs; concurrent callers share one request. Returns { list, invalidate }.
+function createListingCache({ provider, ttlMs }) {
+    const cache = new Map();
+
+    function list(collection) {
+        const hit = cache.get(collection);
+        if (hit && (hit.pending || Date.now() - hit.at < ttlMs)) return hit.promise;
+        const entry = { at: Date.now(), pending: true };
+        entry.promise = provider.listCollectionFiles(collection).then((files) => {
+            entry.pending = false;
+            entry.at = Date.now();
+            return files;
+        }, (e) => {
+            if (cache.get(collection) === entry) cache.delete(collection);
+            throw e;
+        });
+        cache.set(collection, entry);
+        return entry.promise;
+    }
+
+    // Forget a listing that is known to be stale (after an upload or a stamp)
+    function invalidate(collection) {
+        cache.delete(collection);
+    }
+
+    return { list, invalidate };
+}
+
+// Returns { subscribe }. transactionIdOf(status) reads the transaction ID from a getFileStatus payload.
+function createStatusFeed({ provider, registry, listings, stampScheduler, transactionIdOf, tickMs = 1000, baseDelayMs = 2000, maxDelayMs = 60000 }) {
+    const watchers = new Map();
+
+    function claimUrlOf(data, hash) {
+        const permalinks = (data && data.export_data && data.export_data.permalinks) || [];
+        const permalink = permalinks.find((p) => p.cid === hash);
+        return permalink && permalink.shorturl ? permalink.shorturl : null;
+    }
+
+    // What the page shows: the registry record plus the listing entry and file status from the backend
+    function snapshotOf(record, fileHash, { file, data }) {
+        return {
+            certificateId: record ? record.certificateId : null,
+            status: record ? record.status : null,
+            fileHash: fileHash || null,
+            certificate: record ? publicCertificate(record) : null,
+            file,
+            imageUrl: file ? provider.fileUrl(file.hash) : null,
+            data,
+            stamp: record ? stampScheduler.stampState(record) : null,
+            stamped: Boolean((file && file.is_stamped) || (record && record.status === 'stamped')),
+            transactionId: transactionIdOf(data),
+            claimUrl: claimUrlOf(data, fileHash),
+            error: record && record.status === 'upload_failed' ? record.error || null : null
+        };
+    }
+
+    function broadcast(w, event, data) {
+        for (const send of [...w.subscribers]) send(event, data);
+    }
+
+    function stop(w) {
+        if (w.stopped) return;
+        w.stopped = true;
+        clearInterval(w.timer);
+        watchers.delete(w.key);
+    }
+
+    async function refresh(w) {
+        const record = w.target.certificateId ? registry.get(w.target.certificateId) : null;
+        const fileHash = record ? record.fileHash : w.target.hash;
+        const collection = record ? record.collection : w.target.collection;
+        const localKey = record ? `${record.status}:${record.fileHash || ''}` : '';
+        let checked = false;
+        if (fileHash && (Date.now() >= w.nextCheckAt || localKey !== w.localKey)) {
+            checked = true;
+            try {
+                const files = await listings.list(collection);
+                w.backend.file = files.find((f) => f.hash === fileHash) || null;
+                w.backend.data = w.backend.file ? await provider.getFileStatus(collection, fileHash) : null;
+            } catch (e) {
+                console.warn(`[status] Status check for ${fileHash} failed: ${e.message}`);
+            }
+        }
+        w.localKey = localKey;
+
+        // A transaction ID upstream confirms a requested stamp (as GET /api/file-status does)
+        let current = record;
+        if (current && awaitsStampConfirmation(current) && transactionIdOf(w.backend.data)) {
+            current = await stampScheduler.markStamped(current.certificateId);
+        }
+        const snapshot = snapshotOf(current, fileHash, w.backend);
+        const digest = JSON.stringify([...WATCHED_FIELDS.map((f) => snapshot[f]), snapshot.stamp, Boolean(snapshot.file)]);
+        if (digest !== w.digest) {
+            const changes = w.snapshot ? WATCHED_FIELDS.filter((f) => snapshot[f] !== w.snapshot[f]) : [];
+            w.digest = digest;
+            w.snapshot = snapshot;
+            w.delay = baseDelayMs;
+            w.nextCheckAt = Date.now() + w.delay;
+            broadcast(w, 'status', { ...snapshot, changes });
+        } else if (checked) {
+            w.delay = Math.min(w.delay * 2, maxDelayMs);
+            w.nextCheckAt = Date.now() + w.delay;
+        }
+        if (snapshot.stamped && snapshot.transactionId) {
+            broadcast(w, 'end', { reason: 'stamped' });
+            stop(w);
+        }
+    }
+
+    async function tick(w) {
+        if (w.busy || w.stopped) return;
+        w.busy = true;
+        try {
+            await refresh(w);
+        } catch (e) {
+            console.error(`[status] Watcher ${w.key} failed: ${e.message}`);
+        } finally {
+            w.busy = false;
+        }
+    }
+
+    // Watch a certificate ({ certificateId }) or an uploaded file without a registry record
+    // ({ hash, collection }). send(event, data) gets "status" with the current snapshot right away and
+    // after every change, then "end" once the stamp is confirmed. Returns a function to unsubscribe.
+    function subscribe(target, send) {
+        const key = target.certificateId ? `cert:${target.certificateId}` : `hash:${target.collection}:${target.hash}`;
+        let w = watchers.get(key);
+        if (w) {
+            w.subscribers.add(send);
+            if (w.snapshot) send('status', { ...w.snapshot, changes: [] });
+        } else {
+            w = {
+                key,
+                target,
+                subscribers: new Set([send]),
+                backend: { file: null, data: null },
+                delay: baseDelayMs,
+                nextCheckAt: 0,
+                localKey: null,
+                digest: null,
+                snapshot: null,
+                busy: false,
+                stopped: false
+            };
+            watchers.set(key, w);
+            w.timer = setInterval(() => tick(w), tickMs);
+            w.timer.unref();
+            tick(w);
+        }
+        return () => {
+            w.subscribers.delete(send);
+            if (w.subscribers.size === 0) stop(w);
+        };
+    }
+
+    return { subscribe };
+}
+
+module.exports = { createListingCache, createStatusFeed };
@@ -0,0 +1,298 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { validateOutputOptions } = require('./certificate-output');
+
+// Certificate template manifests and placeholder filling.
+//
+// A template may have a manifest next to it (default.svg -> default.json):
+//   {
+//     "fields": {
+//       "NAME": { "sample": "Alexandra Montgomery-Smith", "maxWidth": 600, "minFontSize": 16 },
+//       "COMPLETION_TEXT": { "maxWidth": 620, "wrap": true, "maxLines": 2 },
+//       "INSTRUCTOR": { "default": "Dr. Ada Lovelace" }
+//     },
+//     "output": { ... see certificate-output.js ... }
+//   }
+// Fields with maxWidth are fitted to it: the text shrinks down to minFontSize, or with "wrap"
+// breaks into up to maxLines lines (shrinking further if needed).
+// Text whose first letter belongs to a right-to-left script (a name in Arabic, a Hebrew certificate)
+// is laid out right to left while keeping the position the template gave it.
+
+// Filled at issuance; quiz files cannot override these
+const RESERVED_FIELDS = ['NAME', 'DATE', 'CERT_ID', 'SCORE', 'SCORE_PERCENT', 'GRADE', 'VERIFY_URL', 'QR_CODE'];
+const FIELD_NAME = /^[A-Z0-9_]+$/;
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Returns a list of problems with a template manifest (empty when valid)
+function validateTemplateManifest(manifest) {
+    const errors = [];
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['manifest must be an object'];
+    if (manifest.fields !== undefined) {
+        if (!manifest.fields || typeof manifest.fields !== 'object' || Array.isArray(manifest.fields)) {
+            errors.push('"fields" must be an object keyed by placeholder name');
+        } else {
+            for (const [key, field] of Object.entries(manifest.fields)) {
+                const label = `fields.${key}`;
+                if (!FIELD_NAME.test(key)) errors.push(`${label}: placeholder names use A-Z, 0-9 and _`);
+                if (!field || typeof field !== 'object' || Array.isArray(field)) {
+                    errors.push(`${label} must be an object`);
+                    continue;
+                }
+                for (const prop of ['default', 'sample']) {
+                    if (field[prop] !== undefined && typeof field[prop] !== 'string') errors.push(`${label}.${prop} must be a string`);
+                }
+                for (const prop of ['maxWidth', 'minFontSize', 'lineHeight']) {
+                    if (field[prop] !== undefined && !isPositiveNumber(field[prop])) errors.push(`${label}.${prop} must be a positive number`);
+                }
+                if (field.wrap !== undefined && typeof field.wrap !== 'boolean') errors.push(`${label}.wrap must be true or false`);
+                if (field.maxLines !== undefined && (!Number.isInteger(field.maxLines) || field.maxLines < 1)) {
+                    errors.push(`${label}.maxLines must be a whole number of at least 1`);
+                }
+            }
+        }
+    }
+    if (manifest.output !== undefined) errors.push(...validateOutputOptions(manifest.output));
+    return errors;
+}
+
+// Returns a list of problems with a quiz's "fields" values (empty when valid)
+function validateFieldValues(fields, label = 'fields') {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return [`"${label}" must be an object of placeholder values`];
+    const errors = [];
+    for (const [key, value] of Object.entries(fields)) {
+        if (!FIELD_NAME.test(key)) errors.push(`${label}.${key}: placeholder names use A-Z, 0-9 and _`);
+        else if (RESERVED_FIELDS.includes(key)) errors.push(`${label}.${key} is filled at issuance and cannot be set`);
+        else if (typeof value !== 'string') errors.push(`${label}.${key} must be a string`);
+    }
+    return errors;
+}
+
+// Manifest for a template ({} when absent). An invalid manifest is ignored with a warning.
+async function loadTemplateManifest(templatesDir, templateName) {
+    const manifestPath = path.join(templatesDir, `${path.basename(templateName, path.extname(templateName))}.json`);
+    try {
+        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        const errors = validateTemplateManifest(manifest);
+        if (errors.length > 0) {
+            console.warn(`[template] Ignoring ${manifestPath}: ${errors.join('; ')}`);
+            return {};
+        }
+        return manifest;
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn(`[template] Could not read ${manifestPath}: ${e.message}`);
+        return {};
+    }
+}
+
+// Manifest default values, or sample values (falling back to defaults) for previews
+function manifestValues(manifest, { sample = false } = {}) {
+    const values = {};
+    for (const [key, field] of Object.entries(manifest.fields || {})) {
+        const value = sample && field.sample !== undefined ? field.sample : field.default;
+        if (value !== undefined) values[key] = value;
+    }
+    return values;
+}
+
+const escapeForRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+const unescapeXml = (value) => value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// Rough advance width of a string in a sans-serif face, in units of font size.
+// Good enough to decide when to shrink or wrap; no font files are read.
+function estimateTextWidth(text, fontSize, bold) {
+    let em = 0;
+    for (const ch of text) {
+        if (/[ilj.,;:'|!I\s]/.test(ch)) em += 0.3;
+        else if (/[mwMW@]/.test(ch)) em += 0.85;
+        else if (/[A-Z0-9]/.test(ch)) em += 0.68;
+        else if (/[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uff00-\uffef]/.test(ch)) em += 1;
+        else em += 0.55;
+    }
+    return em * fontSize * (bold ? 1.08 : 1);
+}
+
+function attrOf(tag, name) {
+    const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'));
+    return m ? m[1] : null;
+}
+
+// Font size/weight from CSS declarations ("font-size: 28px" or the "font: bold 28px ..." shorthand)
+function fontFromDeclarations(decls) {
+    const out = {};
+    const size = decls.match(/font-size\s*:\s*([\d.]+)(px)?/i);
+    const shorthand = decls.match(/(?:^|;)\s*font\s*:([^;]*)/i);
+    if (size) out.size = parseFloat(size[1]);
+    else if (shorthand) {
+        const m = shorthand[1].match(/([\d.]+)px/);
+        if (m) out.size = parseFloat(m[1]);
+    }
+    if (/font-weight\s*:\s*(bold|[6-9]00)/i.test(decls) || (shorthand && /\bbold\b/i.test(shorthand[1]))) out.bold = true;
+    return out;
+}
+
+// Class rules from the template's <style> blocks: { className: declarations }
+function classRules(svg) {
+    const rules = {};
+    for (const block of svg.match(/<style[^>]*>[\s\S]*?<\/style>/gi) || []) {
+        for (const m of block.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) rules[m[1]] = (rules[m[1]] || '') + ';' + m[2];
+    }
+    return rules;
+}
+
+// Value of one CSS property in a declaration list
+function cssValue(decls, name) {
+    const m = decls.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`, 'i'));
+    return m ? m[1].trim() : null;
+}
+
+// Resolved font size/weight of a <text> start tag (inline style > attribute > class)
+function textFont(tag, rules) {
+    const font = { size: 16, bold: false };
+    for (const cls of (attrOf(tag, 'class') || '').split(/\s+/)) {
+        if (rules[cls]) Object.assign(font, fontFromDeclarations(rules[cls]));
+    }
+    const sizeAttr = attrOf(tag, 'font-size');
+    if (sizeAttr) font.size = parseFloat(sizeAttr);
+    if (/^(bold|[6-9]00)$/i.test(attrOf(tag, 'font-weight') || '')) font.bold = true;
+    Object.assign(font, fontFromDeclarations(attrOf(tag, 'style') || ''));
+    return font;
+}
+
+// Resolved text-anchor of a <text> start tag (same precedence as textFont)
+function textAnchor(tag, rules) {
+    let anchor = 'start';
+    for (const cls of (attrOf(tag, 'class') || '').split(/\s+/)) {
+        if (rules[cls]) anchor = cssValue(rules[cls], 'text-anchor') || anchor;
+    }
+    return cssValue(attrOf(tag, 'style') || '', 'text-anchor') || attrOf(tag, 'text-anchor') || anchor;
+}
+
+// Append inline style declarations, which win over class rules and presentation attributes
+function withStyle(tag, decls) {
+    if (/\sstyle="/i.test(tag)) return tag.replace(/(\sstyle=")([^"]*)"/i, (_, p, s) => `${p}${s.replace(/;\s*$/, '')};${decls}"`);
+    return tag.replace(/^<text\b/i, `<text style="${decls}"`);
+}
+
+function withFontSize(tag, size) {
+    return withStyle(tag, `font-size:${Math.round(size * 10) / 10}px`);
+}
+
+// Whether the first letter of a string is from a right-to-left script (Hebrew, Arabic, Syriac, Thaana, ...)
+function startsRightToLeft(text) {
+    const letter = text.match(/\p{L}/u);
+    return Boolean(letter) && /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefc]/.test(letter[0]);
+}
+
+// Lay a <text> element out right to left. The anchor flips so the text keeps its place:
+// a left-aligned (start) line is still left-aligned once "start" means the right edge.
+function rightToLeft(tag, rules) {
+    if (attrOf(tag, 'direction') || cssValue(attrOf(tag, 'style') || '', 'direction')) return tag;
+    const flipped = { start: 'end', end: 'start' }[textAnchor(tag, rules)];
+    return withStyle(tag, `direction:rtl;unicode-bidi:embed${flipped ? `;text-anchor:${flipped}` : ''}`);
+}
+
+// Greedy word wrap to lines no wider than maxWidth
+function wrapWords(text, fontSize, bold, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && estimateTextWidth(candidate, fontSize, bold) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Fit one filled <text> element to a field's maxWidth. Returns the new element markup.
+function fitText(startTag, content, field, rules, label) {
+    const font = textFont(startTag, rules);
+    const plain = unescapeXml(content);
+    if (estimateTextWidth(plain, font.size, font.bold) <= field.maxWidth) return `${startTag}${content}</text>`;
+
+    const minFontSize = field.minFontSize || Math.max(6, font.size * 0.6);
+    if (field.wrap) {
+        const maxLines = field.maxLines || 2;
+        let size = font.size;
+        let lines = wrapWords(plain, size, font.bold, field.maxWidth);
+        while ((lines.length > maxLines || lines.some((l) => estimateTextWidth(l, size, font.bold) > field.maxWidth)) && size > minFontSize) {
+            size = Math.max(minFontSize, size * 0.92);
+            lines = wrapWords(plain, size, font.bold, field.maxWidth);
+        }
+        if (lines.length > maxLines) {
+            console.warn(`[template] ${label} needs ${lines.length} lines at ${minFontSize}px (maxLines ${maxLines}); extra lines may overlap`);
+        }
+        const x = attrOf(startTag, 'x') || '0';
+        const lineHeight = (field.lineHeight || 1.2) * size;
+        const tspans = lines.map((l, i) => `<tspan x="${x}"${i > 0 ? ` dy="${Math.round(lineHeight * 10) / 10}"` : ''}>${escapeXml(l)}</tspan>`).join('');
+        return `${size !== font.size ? withFontSize(startTag, size) : startTag}${tspans}</text>`;
+    }
+
+    const width = estimateTextWidth(plain, font.size, font.bold);
+    const size = Math.max(minFontSize, font.size * field.maxWidth / width);
+    if (estimateTextWidth(plain, size, font.bold) > field.maxWidth) {
+        console.warn(`[template] ${label} still exceeds maxWidth ${field.maxWidth} at minFontSize ${minFontSize}px`);
+    }
+    return `${withFontSize(startTag, size)}${content}</text>`;
+}
+
+// Replace ##KEY## tokens with XML-escaped values, fitting fields that declare a maxWidth.
+// lang, when given, is set as the document language (xml:lang) unless the template has one.
+function applyTemplatePlaceholders(svgContent, replacements, fields = {}, { lang } = {}) {
+    // Remove inline tspan wrappers that can split placeholders
+    let result = svgContent.replace(/<\/?tspan[^>]*>/gi, '');
+    if (lang) result = result.replace(/<svg\b(?![^>]*\sxml:lang=)/i, `<svg xml:lang="${escapeXml(lang)}"`);
+    const rules = classRules(result);
+    const fill = (text) => {
+        let out = text;
+        for (const [key, value] of Object.entries(replacements)) {
+            // A function replacer, so "$&" or "$1" in a value is kept as typed
+            const escaped = escapeXml(value);
+            out = out.replace(new RegExp(`##${escapeForRegex(key)}##`, 'g'), () => escaped);
+        }
+        return out;
+    };
+
+    const fitted = Object.keys(fields).filter((key) => fields[key] && fields[key].maxWidth);
+    if (fitted.length > 0) {
+        result = result.replace(/(<text\b[^>]*>)([\s\S]*?)<\/text>/gi, (whole, startTag, content) => {
+            const key = fitted.find((k) => content.includes(`##${k}##`));
+            if (!key) return whole;
+            return fitText(startTag, fill(content), fields[key], rules, key);
+        });
+    }
+    return fill(result).replace(/(<text\b[^>]*>)([\s\S]*?)<\/text>/gi, (whole, startTag, content) => {
+        if (!startsRightToLeft(unescapeXml(content.replace(/<[^>]*>/g, '')))) return whole;
+        return `${rightToLeft(startTag, rules)}${content}</text>`;
+    });
+}
+
+// Placeholder tokens used by a template
+function templatePlaceholders(svg) {
+    return [...new Set((svg.match(/##[A-Z0-9_]+##/g) || []).map((t) => t.slice(2, -2)))];
+}
+
+module.exports = {
+    RESERVED_FIELDS,
+    validateTemplateManifest,
+    validateFieldValues,
+    loadTemplateManifest,
+    manifestValues,
+    estimateTextWidth,
+    applyTemplatePlaceholders,
+    templatePlaceholders
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fsSync = require('fs');
+const axios = require('axios');
+const { createDurableQueue } = require('./durable-queue');
+
+// Signed outgoing webhooks. Every event is queued once per subscribed endpoint in a durable queue
+// (data/webhooks.json) and POSTed as JSON; failed deliveries are retried with backoff and every
+// attempt is kept on the job as its delivery log.
+//
+// Body:      { id, type, createdAt, data }
+// Headers:   X-Webhook-Id, X-Webhook-Event, X-Webhook-Signature: t=<unix seconds>,v1=<hex>
+// Signature: HMAC-SHA256 of "<t>.<raw body>" with the endpoint's secret
+
+const WEBHOOK_EVENTS = ['attempt.graded', 'certificate.issued', 'certificate.stamped', 'certificate.upload_failed'];
+// Attempts kept per delivery
+const LOG_LIMIT = 20;
+
+// Returns a list of problems with one endpoint entry (empty when valid)
+function validateEndpoint(endpoint, label) {
+    const errors = [];
+    if (!endpoint || typeof endpoint !== 'object') return [`${label} must be an object`];
+    if (typeof endpoint.url !== 'string' || !/^https?:\/\//i.test(endpoint.url)) errors.push(`${label}.url must be an http(s) URL`);
+    if (typeof endpoint.secret !== 'string' || endpoint.secret.length < 16) errors.push(`${label}.secret must be at least 16 characters`);
+    if (endpoint.events !== undefined) {
+        if (!Array.isArray(endpoint.events)) errors.push(`${label}.events must be an array`);
+        else {
+            for (const type of endpoint.events) {
+                if (type !== '*' && !WEBHOOK_EVENTS.includes(type)) errors.push(`${label}.events: unknown event "${type}"`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Endpoints from a JSON file ([{ id, url, secret, events }]) plus the single WEBHOOK_URL shorthand.
+// Invalid entries are skipped with an error.
+function loadWebhookEndpoints({ filePath, url, secret, events }) {
+    const entries = [];
+    if (filePath) {
+        try {
+            const parsed = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+            if (!Array.isArray(parsed)) throw new Error('expected an array of endpoints');
+            entries.push(...parsed);
+        } catch (e) {
+            console.error(`[webhooks] Could not load ${filePath}: ${e.message}`);
+        }
+    }
+    if (url) {
+        entries.push({ id: 'default', url, secret, events: events ? events.split(',').map((e) => e.trim()).filter(Boolean) : undefined });
+    }
+    const endpoints = [];
+    entries.forEach((entry, i) => {
+        const id = entry && typeof entry.id === 'string' && entry.id ? entry.id : `endpoint-${i + 1}`;
+        const errors = validateEndpoint(entry, `webhook "${id}"`);
+        if (endpoints.some((e) => e.id === id)) errors.push(`duplicate webhook id "${id}"`);
+        if (errors.length > 0) {
+            console.error(`[webhooks] Skipping endpoint: ${errors.join('; ')}`);
+            return;
+        }
+        endpoints.push({ id, url: entry.url, secret: entry.secret, events: entry.events || ['*'] });
+    });
+    return endpoints;
+}
+
+// Value of the X-Webhook-Signature header for a body
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+// Start of a response body for the delivery log
+function responseSnippet(data) {
+    if (data === undefined || data === null || data === '') return null;
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.length > 500 ? `${text.slice(0, 500)}…` : text;
+}
+
+// Returns { endpoints, emit, replay, list, get, load, start }
+function createWebhookDispatcher({ endpoints, filePath, timeoutMs = 10000, maxAttempts, baseDelayMs, maxDelayMs }) {
+    async function deliver(job, { checkpoint }) {
+        const p = job.payload;
+        const endpoint = endpoints.find((e) => e.id === p.endpointId);
+        if (!endpoint) throw new Error(`Webhook endpoint "${p.endpointId}" is no longer configured`);
+
+        const startMs = Date.now();
+        const entry = { at: new Date().toISOString(), status: null, ms: null, error: null, response: null };
+        try {
+            const response = await axios.post(endpoint.url, p.body, {
+                timeout: timeoutMs,
+                maxRedirects: 0,
+                // Keep the body as the exact string that was signed
+                transformRequest: [(data) => data],
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'quiz-to-cert-webhooks',
+                    'X-Webhook-Id': p.eventId,
+                    'X-Webhook-Event': p.type,
+                    'X-Webhook-Signature': signPayload(endpoint.secret, p.body)
+                }
+            });
+            entry.status = response.status;
+            entry.response = responseSnippet(response.data);
+        } catch (e) {
+            entry.status = e.response ? e.response.status : null;
+            entry.response = e.response ? responseSnippet(e.response.data) : null;
+            entry.error = e.message;
+            throw e;
+        } finally {
+            entry.ms = Date.now() - startMs;
+            await checkpoint({ log: [...(p.log || []), entry].slice(-LOG_LIMIT) });
+        }
+        console.log(`[webhooks] Delivered ${p.type} ${p.eventId} to ${endpoint.id} (${entry.status}, ${entry.ms}ms)`);
+    }
+
+    const queue = createDurableQueue({
+        name: 'webhooks',
+        filePath,
+        handler: deliver,
+        maxAttempts,
+        baseDelayMs,
+        maxDelayMs,
+        keepDone: 1000
+    });
+
+    // Queue an event for every endpoint subscribed to it. Never throws: a webhook problem must not
+    // break the issuance that triggered it.
+    async function emit(type, data) {
+        const targets = endpoints.filter((e) => e.events.includes('*') || e.events.includes(type));
+        if (targets.length === 0) return null;
+        const event = {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        const body = JSON.stringify(event);
+        try {
+            for (const endpoint of targets) {
+                await queue.enqueue({ eventId: event.id, type, endpointId: endpoint.id, url: endpoint.url, body, log: [] });
+            }
+            console.log(`[webhooks] Queued ${type} ${event.id} for ${targets.map((e) => e.id).join(', ')}`);
+        } catch (e) {
+            console.error(`[webhooks] Failed to queue ${type}: ${e.message}`);
+        }
+        return event;
+    }
+
+    return {
+        // Endpoint list without secrets, for the admin endpoint
+        endpoints: endpoints.map(({ id, url, events }) => ({ id, url, events })),
+        load: queue.load,
+        start: queue.start,
+        emit,
+        replay: queue.replay,
+        get: queue.get,
+        list: queue.list
+    };
+}
+
+module.exports = { WEBHOOK_EVENTS, loadWebhookEndpoints, signPayload, createWebhookDispatcher };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createDurableQueue } = require('./durable-queue');
+const { questionType, questionOptions } = require('./grading');
+
+// xAPI statements for a Learning Record Store. A graded submission produces "attempted", one
+// "answered" per question and "passed"/"failed"; an uploaded certificate produces "earned" with the
+// certified extension (certificate ID, file hash, claim URL). Statements are queued in a durable
+// queue (data/xapi.json) and POSTed to <endpoint>/statements with basic auth, so nothing is lost
+// while the LRS is unreachable. Statement IDs are fixed when queued, so a retry cannot duplicate.
+
+const XAPI_VERSION = '1.0.3';
+const VERBS = {
+    attempted: 'http://adlnet.gov/expapi/verbs/attempted',
+    answered: 'http://adlnet.gov/expapi/verbs/answered',
+    passed: 'http://adlnet.gov/expapi/verbs/passed',
+    failed: 'http://adlnet.gov/expapi/verbs/failed',
+    earned: 'http://id.tincanapi.com/verb/earned'
+};
+const ACTIVITY_TYPES = {
+    assessment: 'http://adlnet.gov/expapi/activities/assessment',
+    interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+// cmi.interaction type per question type
+const INTERACTION_TYPES = { single: 'choice', multi: 'choice', truefalse: 'true-false', numeric: 'numeric', text: 'fill-in' };
+
+// Stable UUID for an arbitrary string (xAPI registrations must be UUIDs)
+function uuidFrom(value) {
+    const hex = crypto.createHash('sha1').update(String(value)).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// ISO 8601 duration ("PT95.4S")
+function isoDuration(ms) {
+    return `PT${Math.max(0, Math.round(ms / 100) / 10)}S`;
+}
+
+// Builds statements for one deployment: activityBase prefixes activity and extension IRIs and
+// accountHomePage identifies learner accounts (learners are known by name only).
+function createStatementBuilder({ activityBase, accountHomePage }) {
+    const base = activityBase.replace(/\/+$/, '');
+    const extension = (name) => `${base}/xapi/extensions/${name}`;
+    const quizActivityId = (slug) => `${base}/quizzes/${encodeURIComponent(slug)}`;
+
+    function actor(name) {
+        return { objectType: 'Agent', name, account: { homePage: accountHomePage, name } };
+    }
+
+    function verb(key) {
+        return { id: VERBS[key], display: { 'en-US': key } };
+    }
+
+    function quizActivity(quiz, title, locale) {
+        return {
+            objectType: 'Activity',
+            id: quizActivityId(quiz.slug),
+            definition: { type: ACTIVITY_TYPES.assessment, name: { [locale]: title } }
+        };
+    }
+
+    // Activity for one bank question (the ID follows the bank position, not the shuffled one)
+    function questionActivity(quiz, served, locale) {
+        const q = served.question;
+        const definition = {
+            type: ACTIVITY_TYPES.interaction,
+            name: { [locale]: q.question },
+            interactionType: INTERACTION_TYPES[questionType(q)]
+        };
+        if (definition.interactionType === 'choice') {
+            definition.choices = questionOptions(q).map((option, i) => ({ id: `choice-${i}`, description: { [locale]: String(option) } }));
+        }
+        return { objectType: 'Activity', id: `${quizActivityId(quiz.slug)}/questions/${served.index}`, definition };
+    }
+
+    // Learner's response in cmi.interaction notation (choice IDs refer to the original option order)
+    function responseOf(served, answer) {
+        const toChoice = (position) => `choice-${served.optionOrder[position] ?? position}`;
+        switch (questionType(served.question)) {
+            case 'single':
+                return toChoice(answer);
+            case 'multi':
+                return (Array.isArray(answer) ? answer : []).map(toChoice).join('[,]');
+            case 'truefalse':
+                return served.optionOrder[answer] === 0 ? 'true' : 'false';
+            default:
+                return String(answer ?? '');
+        }
+    }
+
+    // Statements for a graded submission: attempted, answered per question, passed or failed
+    function attemptStatements({ quiz, title, attempt, answers, grade, name, locale }) {
+        const registration = uuidFrom(attempt.id);
+        const submittedAt = new Date(attempt.submittedAt || Date.now());
+        const context = {
+            registration,
+            language: locale,
+            contextActivities: { parent: [{ id: quizActivityId(quiz.slug) }] }
+        };
+        const statement = (fields) => ({ id: crypto.randomUUID(), actor: actor(name), ...fields });
+
+        const statements = [statement({
+            verb: verb('attempted'),
+            object: quizActivity(quiz, title, locale),
+            context: { registration, language: locale },
+            timestamp: new Date(attempt.createdAt).toISOString()
+        })];
+        attempt.questions.forEach((served, i) => {
+            const result = grade.results[i];
+            statements.push(statement({
+                verb: verb('answered'),
+                object: questionActivity(quiz, served, locale),
+                result: {
+                    success: result.correct,
+                    response: responseOf(served, answers[i]),
+                    score: { raw: result.earned, min: 0, max: result.points }
+                },
+                context,
+                timestamp: submittedAt.toISOString()
+            }));
+        });
+        statements.push(statement({
+            verb: verb(grade.passed ? 'passed' : 'failed'),
+            object: quizActivity(quiz, title, locale),
+            result: {
+                success: grade.passed,
+                completion: true,
+                duration: isoDuration(submittedAt.getTime() - attempt.createdAt),
+                score: { scaled: Math.round(grade.percent * 10) / 1000, raw: grade.earned, min: 0, max: grade.possible },
+                extensions: { [extension('grade')]: grade.grade, [extension('pass-threshold')]: quiz.passThreshold }
+            },
+            context: { registration, language: locale },
+            timestamp: submittedAt.toISOString()
+        }));
+        return statements;
+    }
+
+    // "earned" statement for an uploaded certificate, carrying the certified extension
+    function certifiedStatement(record, { claimUrl, verifyUrl }) {
+        return {
+            id: crypto.randomUUID(),
+            actor: actor(record.name),
+            verb: verb('earned'),
+            object: {
+                objectType: 'Activity',
+                id: record.quiz ? quizActivityId(record.quiz) : `${base}/courses/${encodeURIComponent(record.quizTitle)}`,
+                definition: { type: ACTIVITY_TYPES.assessment, name: { [record.locale || 'en']: record.quizTitle } }
+            },
+            result: {
+                success: true,
+                completion: true,
+                extensions: {
+                    [extension('certified')]: {
+                        certificateId: record.certificateId,
+                        fileHash: record.fileHash,
+                        sha256: record.sha256,
+                        claimUrl,
+                        verifyUrl,
+                        collection: record.collection
+                    }
+                }
+            },
+            ...(record.attemptId ? { context: { registration: uuidFrom(record.attemptId) } } : {}),
+            timestamp: new Date(record.uploadedAt || Date.now()).toISOString()
+        };
+    }
+
+    return { attemptStatements, certifiedStatement };
+}
+
+// Returns { enabled, send, load, start, list, replay }; send() is a no-op when no endpoint is set
+function createXapiClient({ endpoint, username, password, filePath, timeoutMs = 10000, maxAttempts, baseDelayMs, maxDelayMs }) {
+    const statementsUrl = endpoint ? `${endpoint.replace(/\/+$/, '')}/statements` : null;
+
+    async function post(job) {
+        await axios.post(statementsUrl, job.payload.statements, {
+            timeout: timeoutMs,
+            auth: username ? { username, password: password || '' } : undefined,
+            headers: { 'Content-Type': 'application/json', 'X-Experience-API-Version': XAPI_VERSION }
+        });
+        console.log(`[xapi] Sent ${job.payload.statements.length} statement(s) (${job.payload.label})`);
+    }
+
+    const queue = createDurableQueue({
+        name: 'xapi',
+        filePath,
+        handler: post,
+        maxAttempts,
+        baseDelayMs,
+        maxDelayMs
+    });
+
+    // Queue statements for the LRS. Never throws: the LRS must not hold up grading or issuance.
+    async function send(statements, label) {
+        if (!statementsUrl || statements.length === 0) return null;
+        try {
+            return await queue.enqueue({ label, statements });
+        } catch (e) {
+            console.error(`[xapi] Failed to queue statements (${label}): ${e.message}`);
+            return null;
+        }
+    }
+
+    return {
+        enabled: Boolean(statementsUrl),
+        send,
+        load: queue.load,
+        start: queue.start,
+        list: queue.list,
+        replay: queue.replay
+    };
+}
+
+module.exports = { XAPI_VERSION, VERBS, uuidFrom, createStatementBuilder, createXapiClient };
@@ -0,0 +1,606 @@
+#!/usr/bin/env node
+// Bulk certificate issuance from a CSV roster, for courses graded outside the web quiz (in-person
+// workshops). Every row is rendered with the same templates, name rules and output settings as the
+// server, uploaded to the collection and recorded in the registry; the collection is stamped once at
+// the end. While the server is running (it holds DATA_DIR), the rows are rendered here and handed to
+// it through its admin API instead, and its outbox and stamp scheduler upload and stamp them. A results
+// CSV lists each person's certificate ID, file hash and claim URL. With an issuer signing key
+// configured, each certificate also gets its signed Open Badges credential, as on the server.
+//
+//   npm run issue-bulk -- roster.csv --quiz chainletter-basics
+//   npm run issue-bulk -- roster.csv --title "Intro to Git" --collection "Git Workshop" --dry-run
+//
+// Roster columns: name (required), course (title for that row), date (YYYY-MM-DD, default today),
+// lang (locale of the built-in texts); any other column fills the template placeholder of the same
+// name in upper case ("instructor" -> ##INSTRUCTOR##). Reads the same .env as the server.
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const axios = require('axios');
+
+const ROOT = path.join(__dirname, '..');
+require('dotenv').config({ path: path.join(ROOT, '.env') });
+
+const { slugify, loadQuizCatalog, quizLocales, localizeQuiz } = require('../lib/quiz-catalog');
+const { dedupeKey, createCertificateRegistry } = require('../lib/registry');
+const { createProvider } = require('../lib/providers');
+const { OUTPUT_FORMATS, validateOutputOptions } = require('../lib/certificate-output');
+const { validateFieldValues } = require('../lib/templates');
+const { DEFAULT_LOCALE, normalizeLocale, negotiateLocale, createI18n } = require('../lib/i18n');
+const { sanitizeUserName, certificateHashes, writeCertificateFiles, createCertificateGenerator } = require('../lib/certificates');
+const { parseCsvRecords, toCsv } = require('../lib/csv');
+const { loadSigningKey, credentialFilename, writeCredentialFile, createBadgeIssuer } = require('../lib/open-badges');
+const { acquireDataLock } = require('../lib/data-lock');
+
+const USAGE = `Usage: node scripts/issue-bulk.js <roster.csv> [options]
+
+  --quiz <slug>         Issue for a quiz: its title, template, collection, fields and output
+  --title <text>        Course title (overrides the quiz title; required without --quiz or a course column)
+  --template <file>     Template in templates/ (default: the quiz template or CERT_TEMPLATE)
+  --collection <name>   Collection to upload to (default: the quiz collection or DEFAULT_COLLECTION)
+  --lang <locale>       Locale for rows without a lang column
+  --dry-run             Render only: write the files to --out and upload nothing
+  --out <dir>           Also write the rendered files here (default for --dry-run: bulk-output)
+  --results <file>      Results CSV (default: <roster>-results.csv)
+  --wait <seconds>      After stamping, wait up to this long for the stamp to be confirmed
+  --server <url>        Issue through a running server's admin API (ADMIN_TOKEN); the default
+                        while the server holds DATA_DIR is http://localhost:EX2_PORT
+  --help                Show this help`;
+
+// Same configuration as server.js
+const PORT = process.env.EX2_PORT || 3042;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const API_KEY = process.env.API_KEY;
+const CREDENTIAL_PROVIDER = process.env.CREDENTIAL_PROVIDER || (API_KEY ? 'chainletter' : 'local');
+const CERT_TEMPLATE = process.env.CERT_TEMPLATE || 'default.svg';
+const CERT_OUTPUT_DEFAULTS = {
+    formats: (process.env.CERT_FORMATS || 'png').split(',').map((f) => f.trim().toLowerCase()).filter(Boolean),
+    primary: process.env.CERT_PRIMARY_FORMAT ? process.env.CERT_PRIMARY_FORMAT.trim().toLowerCase() : undefined,
+    dpi: parseInt(process.env.CERT_PNG_DPI || '96', 10),
+    pageSize: process.env.CERT_PDF_PAGE_SIZE || 'A4'
+};
+const DEFAULT_COLLECTION = process.env.DEFAULT_COLLECTION || 'Cert Demo';
+const DATA_DIR = path.resolve(ROOT, process.env.DATA_DIR || 'data');
+const DEDUPE_CERTIFICATES = process.env.DEDUPE_CERTIFICATES !== 'false';
+const UPLOAD_ATTEMPTS = 3;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Issuing through a server: certificates per import request, and how long to wait for its outbox to upload them
+const IMPORT_BATCH_SIZE = 10;
+const SERVER_UPLOAD_WAIT_MS = 10 * 60 * 1000;
+
+// Roster columns with a meaning of their own; the rest are template placeholders
+const KNOWN_COLUMNS = ['name', 'course', 'date', 'lang'];
+const RESULT_COLUMNS = ['row', 'name', 'status', 'certificate_id', 'file_hash', 'sha256', 'claim_url', 'verify_url', 'file', 'error'];
+
+function verifyUrl(certificateId) {
+    return `${PUBLIC_BASE_URL}/verify/${encodeURIComponent(certificateId)}`;
+}
+
+function credentialUrl(certificateId) {
+    return `${PUBLIC_BASE_URL}/api/certificates/${encodeURIComponent(certificateId)}/credential`;
+}
+
+function achievementUrl(quiz, title) {
+    return quiz ? `${PUBLIC_BASE_URL}/quiz/${encodeURIComponent(quiz.slug)}` : `${PUBLIC_BASE_URL}/courses/${encodeURIComponent(title)}`;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// "Lead Instructor" -> "LEAD_INSTRUCTOR"
+function placeholderName(column) {
+    return column.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// File name for dry-run output: row number and name ("003-ada-lovelace")
+function previewBaseName(rowNumber, name) {
+    return `${String(rowNumber).padStart(3, '0')}-${slugify(name) || 'certificate'}`;
+}
+
+// Issuance date from the roster ("2026-10-19"), or null when malformed
+function parseRosterDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    // Midday UTC so the calendar date is the same in every timezone
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12));
+    return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+// Validated certificate request for one roster row: { name, title, locale, date, fields } or { error }
+function prepareRow(record, { quiz, title, lang, i18n }) {
+    const name = sanitizeUserName(record.name);
+    if (!name) return { error: 'missing or invalid name' };
+
+    const requested = record.lang || lang;
+    const normalized = requested ? normalizeLocale(requested) : null;
+    if (requested && !normalized) return { error: `invalid lang "${requested}"` };
+    const locale = quiz
+        ? negotiateLocale(normalized ? [normalized] : [], quizLocales(quiz), quiz.locale)
+        : negotiateLocale(normalized ? [normalized] : [], i18n.locales, normalized || DEFAULT_LOCALE);
+
+    let date = new Date();
+    if (record.date) {
+        date = parseRosterDate(record.date);
+        if (!date) return { error: `invalid date "${record.date}" (use YYYY-MM-DD)` };
+    }
+
+    const rowTitle = record.course || title || (quiz ? localizeQuiz(quiz, locale).title : '');
+    if (!rowTitle) return { error: 'no course title (use --title, --quiz or a course column)' };
+
+    const fields = {};
+    for (const [column, value] of Object.entries(record)) {
+        if (KNOWN_COLUMNS.includes(column.toLowerCase()) || value === '') continue;
+        fields[placeholderName(column)] = value;
+    }
+    const fieldErrors = validateFieldValues(fields, 'columns');
+    if (fieldErrors.length > 0) return { error: fieldErrors.join('; ') };
+
+    return { name, title: rowTitle, locale, date, fields };
+}
+
+async function uploadWithRetry(provider, upload, reqId) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await provider.uploadFile(upload, reqId);
+        } catch (e) {
+            if (attempt >= UPLOAD_ATTEMPTS) throw e;
+            console.warn(`[${reqId}] Upload failed (${attempt}/${UPLOAD_ATTEMPTS}): ${e.message}; retrying`);
+            await sleep(2000 * attempt);
+        }
+    }
+}
+
+// Poll the collection listing until every uploaded file is stamped or the wait runs out
+async function waitForStamp(provider, registry, collection, results, waitSeconds) {
+    const deadline = Date.now() + waitSeconds * 1000;
+    let waiting = results.filter((r) => r.status === 'issued');
+    while (waiting.length > 0 && Date.now() < deadline) {
+        await sleep(Math.min(10000, Math.max(0, deadline - Date.now())));
+        try {
+            const files = await provider.listCollectionFiles(collection);
+            const byHash = new Map(files.map((f) => [f.hash, f]));
+            for (const result of waiting) {
+                const file = byHash.get(result.file_hash);
+                if (file && file.is_stamped) {
+                    await registry.update(result.certificate_id, { status: 'stamped', stampedAt: file.stamped_at || new Date().toISOString() });
+                    result.status = 'stamped';
+                }
+            }
+        } catch (e) {
+            console.warn(`[bulk] Stamp check for "${collection}" failed: ${e.message}`);
+        }
+        waiting = waiting.filter((r) => r.status === 'issued');
+        console.log(`[bulk] ${results.filter((r) => r.status === 'stamped').length} stamped, ${waiting.length} waiting`);
+    }
+}
+
+// Claim link for an uploaded file from its permalinks (empty when the provider has none yet)
+async function claimUrlFor(provider, collection, hash) {
+    const status = await provider.getFileStatus(collection, hash);
+    const permalinks = (status && status.export_data && status.export_data.permalinks) || [];
+    const permalink = permalinks.find((p) => p.cid === hash);
+    return permalink && permalink.shorturl ? permalink.shorturl : '';
+}
+
+// Admin API of a running server, for issuing while it holds DATA_DIR
+function createServerClient(baseUrl) {
+    const http = axios.create({
+        baseURL: baseUrl,
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+        timeout: 300000,
+        maxBodyLength: Infinity
+    });
+    // Server's own message over axios's "Request failed with status code ..."
+    const call = (request) => request.then((response) => response.data).catch((e) => {
+        const data = e.response && e.response.data;
+        throw new Error(data && data.message ? `${data.message}${data.error ? `: ${data.error}` : ''}` : e.message);
+    });
+    return {
+        url: baseUrl,
+        importCertificates: (certificates) => call(http.post('/api/admin/certificates/import', { certificates })),
+        getCertificate: (certificateId) => call(http.get(`/api/admin/certificates/${encodeURIComponent(certificateId)}`)).then((d) => d.certificate),
+        stampCollection: (collection) => call(http.post(`/api/admin/collections/${encodeURIComponent(collection)}/stamp`))
+    };
+}
+
+// Hand rendered certificates to the server ({ result, certificate } pairs); it records, stores and queues them
+async function importBatch(server, batch) {
+    let answered;
+    try {
+        answered = await server.importCertificates(batch.map((b) => b.certificate));
+    } catch (e) {
+        console.error(`[bulk] Import of ${batch.length} certificate(s) failed: ${e.message}`);
+        for (const { result } of batch) Object.assign(result, { status: 'failed', error: `import: ${e.message}` });
+        return;
+    }
+    const byId = new Map(answered.results.map((r) => [r.certificateId, r]));
+    for (const { result } of batch) {
+        const answer = byId.get(result.certificate_id) || { status: 'failed', error: 'no answer from the server' };
+        if (answer.status === 'queued') {
+            result.status = 'queued';
+        } else if (answer.status === 'existing') {
+            const existing = answer.certificate;
+            Object.assign(result, {
+                status: 'existing',
+                certificate_id: existing.certificateId,
+                file_hash: existing.fileHash || '',
+                sha256: existing.sha256 || '',
+                verify_url: verifyUrl(existing.certificateId),
+                file: ''
+            });
+            console.log(`[bulk:${result.row}] ${result.name} already has certificate ${existing.certificateId}`);
+        } else {
+            Object.assign(result, { status: 'failed', error: `import: ${answer.error}` });
+            console.error(`[bulk:${result.row}] Import failed: ${answer.error}`);
+        }
+    }
+}
+
+// Poll the server until it settles the certificates in `from`: moved to `to` once `done(certificate)`,
+// to failed once `failed(certificate)`, or left as they are when the wait runs out
+async function waitForServer(server, results, { from, to, done, failed = () => false, waitMs }) {
+    const deadline = Date.now() + waitMs;
+    let waiting = results.filter((r) => r.status === from);
+    while (waiting.length > 0 && Date.now() < deadline) {
+        await sleep(Math.min(10000, Math.max(0, deadline - Date.now())));
+        for (const result of waiting) {
+            try {
+                const certificate = await server.getCertificate(result.certificate_id);
+                if (failed(certificate)) {
+                    Object.assign(result, { status: 'failed', error: `upload: ${certificate.error || certificate.status}` });
+                } else if (done(certificate)) {
+                    Object.assign(result, { status: to, file_hash: certificate.fileHash || '' });
+                }
+            } catch (e) {
+                console.warn(`[bulk] Status check of ${result.certificate_id} failed: ${e.message}`);
+            }
+        }
+        waiting = waiting.filter((r) => r.status === from);
+        console.log(`[bulk] ${results.filter((r) => r.status === to).length} ${to}, ${waiting.length} waiting`);
+    }
+}
+
+// After the imports: wait for the server's outbox to upload, stamp the collection once, then optionally
+// wait for the stamp. Certificates still queued are left to the server's retries.
+async function finishThroughServer(server, collection, results, waitSeconds) {
+    await waitForServer(server, results, {
+        from: 'queued',
+        to: 'issued',
+        done: (c) => Boolean(c.fileHash),
+        failed: (c) => c.status === 'upload_failed',
+        waitMs: SERVER_UPLOAD_WAIT_MS
+    });
+    const issued = results.filter((r) => r.status === 'issued');
+    if (issued.length === 0) return;
+    try {
+        await server.stampCollection(collection);
+        console.log(`[bulk] Stamped "${collection}" covering ${issued.length} certificate(s)`);
+    } catch (e) {
+        console.error(`[bulk] Stamp of "${collection}" failed: ${e.message}; the server stamps these certificates in its next batch`);
+        for (const result of issued) result.error = `stamp: ${e.message}`;
+        return;
+    }
+    if (waitSeconds > 0) {
+        await waitForServer(server, results, { from: 'issued', to: 'stamped', done: (c) => c.status === 'stamped', waitMs: waitSeconds * 1000 });
+    }
+}
+
+async function main() {
+    const { values: opts, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            quiz: { type: 'string' },
+            title: { type: 'string' },
+            template: { type: 'string' },
+            collection: { type: 'string' },
+            lang: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            out: { type: 'string' },
+            results: { type: 'string' },
+            wait: { type: 'string' },
+            server: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (opts.help || positionals.length !== 1) {
+        console.log(USAGE);
+        return opts.help ? 0 : 2;
+    }
+    const dryRun = opts['dry-run'];
+    const waitSeconds = opts.wait ? parseInt(opts.wait, 10) : 0;
+    if (!Number.isInteger(waitSeconds) || waitSeconds < 0) throw new Error('--wait must be a number of seconds');
+
+    const outputErrors = validateOutputOptions(CERT_OUTPUT_DEFAULTS, 'CERT_*');
+    if (outputErrors.length > 0) throw new Error(`Invalid certificate output configuration: ${outputErrors.join('; ')}`);
+
+    const rosterPath = path.resolve(positionals[0]);
+    const { columns, records } = parseCsvRecords(await fs.readFile(rosterPath, 'utf8'));
+    if (!columns.some((c) => c.toLowerCase() === 'name')) throw new Error(`${rosterPath} has no "name" column`);
+    // Known columns are matched case-insensitively
+    const rows = records.map((record) => Object.fromEntries(Object.entries(record).map(([column, value]) =>
+        [KNOWN_COLUMNS.includes(column.toLowerCase()) ? column.toLowerCase() : column, value])));
+
+    let quiz = null;
+    if (opts.quiz) {
+        const { quizzes } = loadQuizCatalog({
+            quizzesDir: path.resolve(ROOT, process.env.QUIZZES_DIR || 'quizzes'),
+            legacyFile: process.env.QUIZ ? path.resolve(ROOT, process.env.QUIZ) : null,
+            defaultSlug: null,
+            defaultCollection: DEFAULT_COLLECTION
+        });
+        quiz = quizzes.get(opts.quiz);
+        if (!quiz) throw new Error(`Unknown quiz "${opts.quiz}" (available: ${[...quizzes.keys()].join(', ') || 'none'})`);
+    }
+    const collection = opts.collection || (quiz ? quiz.collection : DEFAULT_COLLECTION);
+    const templateName = opts.template || (quiz && quiz.template) || CERT_TEMPLATE;
+
+    const i18n = createI18n({ localesDir: path.join(ROOT, 'locales') });
+    const { generateCertificate } = createCertificateGenerator({
+        templatesDir: path.join(ROOT, 'templates'),
+        defaultTemplate: CERT_TEMPLATE,
+        fontFamily: process.env.CERT_FONT_FAMILY || 'DejaVu Sans, Arial, sans-serif',
+        footer: process.env.FOOTER || '',
+        outputDefaults: CERT_OUTPUT_DEFAULTS,
+        i18n,
+        verifyUrl
+    });
+    const badges = createBadgeIssuer({
+        signingKey: loadSigningKey({
+            pem: process.env.OB_SIGNING_KEY,
+            filePath: process.env.OB_SIGNING_KEY_FILE ? path.resolve(ROOT, process.env.OB_SIGNING_KEY_FILE) : null
+        }),
+        issuer: {
+            name: process.env.OB_ISSUER_NAME || 'Quiz Certificate Demo',
+            url: process.env.OB_ISSUER_URL || PUBLIC_BASE_URL,
+            email: process.env.OB_ISSUER_EMAIL
+        },
+        i18n,
+        verifyUrl,
+        credentialUrl,
+        achievementUrl
+    });
+
+    let server = null;
+    let serverUrl = opts.server ? opts.server.replace(/\/+$/, '') : null;
+    if (!dryRun && !serverUrl) {
+        // A server on the same DATA_DIR would not see (or would overwrite) our writes: issue through it instead
+        try {
+            acquireDataLock(DATA_DIR, 'issue-bulk');
+        } catch (e) {
+            if (e.code !== 'DATA_DIR_LOCKED' || e.owner !== 'server') throw e;
+            serverUrl = `http://localhost:${PORT}`;
+            console.log(`[bulk] The server holds ${DATA_DIR}; issuing through it at ${serverUrl}`);
+        }
+    }
+    if (!dryRun && serverUrl) {
+        if (!ADMIN_TOKEN) throw new Error('Issuing through the server needs its ADMIN_TOKEN');
+        server = createServerClient(serverUrl);
+    }
+
+    let provider = null;
+    let registry = null;
+    if (!dryRun && !server) {
+        provider = createProvider(CREDENTIAL_PROVIDER, {
+            baseUrl: process.env.API_BASE_URL,
+            apiKey: API_KEY,
+            apiSecret: process.env.API_SECRET,
+            network: process.env.API_NETWORK || 'public',
+            gatewayUrl: (process.env.IPFS_GATEWAY_URL || 'https://gateway.pinata.cloud').replace(/\/+$/, ''),
+            storageDir: path.join(DATA_DIR, 'local-provider'),
+            publicBaseUrl: PUBLIC_BASE_URL,
+            stampDelayMs: parseInt(process.env.LOCAL_STAMP_DELAY_MS || '5000', 10)
+        });
+        registry = createCertificateRegistry({ filePath: path.join(DATA_DIR, 'certificates.jsonl') });
+        await registry.load();
+    }
+    const outDir = opts.out ? path.resolve(opts.out) : (dryRun ? path.resolve('bulk-output') : null);
+    const resultsPath = path.resolve(opts.results || rosterPath.replace(/(\.csv)?$/i, '-results.csv'));
+
+    console.log(`[bulk] ${rows.length} row(s) from ${rosterPath}${dryRun ? ' (dry run)' : ` -> "${collection}" via ${server ? server.url : provider.name}`}`);
+    const results = [];
+    const seen = new Set();
+    const batch = [];
+    for (const [index, record] of rows.entries()) {
+        const rowNumber = index + 1;
+        const reqId = `bulk:${rowNumber}`;
+        const result = { row: rowNumber, name: record.name || '', status: '' };
+        results.push(result);
+
+        const prepared = prepareRow(record, { quiz, title: opts.title, lang: opts.lang, i18n });
+        if (prepared.error) {
+            Object.assign(result, { status: 'invalid', error: prepared.error });
+            console.warn(`[${reqId}] Skipped: ${prepared.error}`);
+            continue;
+        }
+        result.name = prepared.name;
+
+        // The same person and course twice: in this roster, or already issued earlier
+        const key = `${dedupeKey(quiz ? quiz.slug : null, prepared.name)}\u0000${prepared.title}`;
+        if (seen.has(key)) {
+            Object.assign(result, { status: 'duplicate', error: 'same name and course as an earlier row' });
+            continue;
+        }
+        seen.add(key);
+        const existing = registry && DEDUPE_CERTIFICATES
+            ? registry.list().find((r) => r.status !== 'upload_failed' && r.collection === collection &&
+                dedupeKey(r.quiz, r.name) === dedupeKey(quiz ? quiz.slug : null, prepared.name) &&
+                (quiz || r.quizTitle === prepared.title))
+            : null;
+        if (existing) {
+            Object.assign(result, {
+                status: 'existing',
+                certificate_id: existing.certificateId,
+                file_hash: existing.fileHash || '',
+                sha256: existing.sha256 || '',
+                verify_url: verifyUrl(existing.certificateId)
+            });
+            console.log(`[${reqId}] ${prepared.name} already has certificate ${existing.certificateId}`);
+            continue;
+        }
+
+        let rendered;
+        try {
+            rendered = await generateCertificate({
+                name: prepared.name,
+                title: prepared.title,
+                templateName,
+                grade: null,
+                quiz,
+                locale: prepared.locale,
+                date: prepared.date,
+                // No score line for paper-graded courses unless the roster has a secondary_text column
+                overrides: { SECONDARY_TEXT: '', ...prepared.fields }
+            }, reqId);
+        } catch (e) {
+            Object.assign(result, { status: 'failed', error: `render: ${e.message}` });
+            continue;
+        }
+        const { certificateId, output } = rendered;
+        const badge = badges.issue({
+            files: rendered.files,
+            certificateId,
+            name: prepared.name,
+            quiz,
+            title: prepared.title,
+            description: quiz ? localizeQuiz(quiz, prepared.locale).description : '',
+            locale: prepared.locale,
+            grade: null,
+            date: prepared.date
+        });
+        const files = badge ? badge.files : rendered.files;
+        Object.assign(result, {
+            certificate_id: certificateId,
+            sha256: certificateHashes(files, output.primary).sha256,
+            verify_url: verifyUrl(certificateId)
+        });
+        if (outDir) {
+            const baseName = dryRun ? previewBaseName(rowNumber, prepared.name) : certificateId;
+            await writeCertificateFiles(outDir, baseName, files);
+            if (badge) await writeCredentialFile(outDir, baseName, badge.json);
+            result.file = path.join(outDir, `${baseName}.${OUTPUT_FORMATS[output.primary].extension}`);
+        }
+        if (dryRun) {
+            result.status = 'dry_run';
+            continue;
+        }
+        if (server) {
+            batch.push({
+                result,
+                certificate: {
+                    certificateId,
+                    name: prepared.name,
+                    quiz: quiz ? quiz.slug : null,
+                    quizTitle: prepared.title,
+                    locale: prepared.locale,
+                    template: rendered.templateName || 'inline',
+                    collection,
+                    formats: Object.keys(files),
+                    primaryFormat: output.primary,
+                    files: Object.fromEntries(Object.entries(files).map(([format, buffer]) => [format, buffer.toString('base64')])),
+                    credential: badge ? badge.json : null
+                }
+            });
+            if (batch.length >= IMPORT_BATCH_SIZE) await importBatch(server, batch.splice(0));
+            continue;
+        }
+
+        // Same record and download files as a web issuance, so verification and downloads work
+        await writeCertificateFiles(path.join(DATA_DIR, 'downloads', certificateId), certificateId, files);
+        if (badge) await writeCredentialFile(path.join(DATA_DIR, 'downloads', certificateId), certificateId, badge.json);
+        await registry.create({
+            certificateId,
+            status: 'rendered',
+            source: 'bulk',
+            name: prepared.name,
+            quiz: quiz ? quiz.slug : null,
+            quizTitle: prepared.title,
+            locale: prepared.locale,
+            score: null,
+            template: rendered.templateName || 'inline',
+            collection,
+            formats: output.formats,
+            primaryFormat: output.primary,
+            ...certificateHashes(files, output.primary),
+            ...(badge ? { credentialSha256: crypto.createHash('sha256').update(badge.json).digest('hex') } : {})
+        });
+        try {
+            const { hash } = await uploadWithRetry(provider, {
+                collection,
+                buffer: files[output.primary],
+                filename: `${certificateId}.${OUTPUT_FORMATS[output.primary].extension}`,
+                contentType: OUTPUT_FORMATS[output.primary].contentType
+            }, reqId);
+            // awaiting_stamp: if this run stops before stamping, the server stamps it on its next start
+            await registry.update(certificateId, { status: 'awaiting_stamp', fileHash: hash, uploadedAt: new Date().toISOString(), error: null });
+            Object.assign(result, { status: 'issued', file_hash: hash });
+            console.log(`[${reqId}] Uploaded certificate ${certificateId} for ${prepared.name} (${hash})`);
+        } catch (e) {
+            await registry.update(certificateId, { status: 'upload_failed', error: e.message });
+            Object.assign(result, { status: 'failed', error: `upload: ${e.message}` });
+            console.error(`[${reqId}] Upload failed: ${e.message}`);
+        }
+        if (badge && result.status === 'issued') {
+            // The certificate stands without its credential upload; the credential is still downloadable
+            try {
+                const { hash } = await uploadWithRetry(provider, {
+                    collection,
+                    buffer: Buffer.from(badge.json, 'utf8'),
+                    filename: credentialFilename(certificateId),
+                    contentType: 'application/json'
+                }, reqId);
+                await registry.update(certificateId, { credentialHash: hash });
+            } catch (e) {
+                result.error = `credential upload: ${e.message}`;
+                console.error(`[${reqId}] Credential upload failed: ${e.message}`);
+            }
+        }
+    }
+
+    if (batch.length > 0) await importBatch(server, batch.splice(0));
+    if (server) await finishThroughServer(server, collection, results, waitSeconds);
+
+    const issued = provider ? results.filter((r) => r.status === 'issued') : [];
+    if (issued.length > 0) {
+        // One stamp covers every certificate uploaded above
+        try {
+            await provider.stampCollection(collection, 'bulk');
+            const requestedAt = new Date().toISOString();
+            for (const result of issued) {
+                await registry.update(result.certificate_id, { status: 'stamp_requested', stampRequestedAt: requestedAt });
+            }
+            console.log(`[bulk] Stamped "${collection}" covering ${issued.length} certificate(s)`);
+            if (waitSeconds > 0) await waitForStamp(provider, registry, collection, results, waitSeconds);
+        } catch (e) {
+            console.error(`[bulk] Stamp of "${collection}" failed: ${e.message}; the server will stamp these certificates on its next start`);
+            for (const result of issued) result.error = `stamp: ${e.message}`;
+        }
+    }
+    if (provider || server) {
+        for (const result of results.filter((r) => r.file_hash)) {
+            try {
+                result.claim_url = server
+                    ? (await server.getCertificate(result.certificate_id)).claimUrl || ''
+                    : await claimUrlFor(provider, collection, result.file_hash);
+            } catch (e) {
+                console.warn(`[bulk] No claim URL for ${result.certificate_id}: ${e.message}`);
+            }
+        }
+    }
+
+    await fs.writeFile(resultsPath, toCsv(RESULT_COLUMNS, results), 'utf8');
+    const counts = {};
+    for (const result of results) counts[result.status] = (counts[result.status] || 0) + 1;
+    console.log(`[bulk] Done: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ') || 'no rows'}`);
+    console.log(`[bulk] Results written to ${resultsPath}`);
+    return results.some((r) => r.status === 'failed' || r.status === 'invalid') ? 1 : 0;
+}
+
+main()
+    .then((code) => { process.exitCode = code; })
+    .catch((e) => {
+        console.error(`[bulk] ${e.message}`);
+        process.exitCode = 1;
+    });
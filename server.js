@@ -1,19 +1,54 @@
 const express = require('express');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
-const axios = require('axios');
+const crypto = require('crypto');
+const { slugify, loadQuizCatalog, compileQuiz, summarizeQuiz, quizLocales, localizeQuiz } = require('./lib/quiz-catalog');
+const { createAttemptStore } = require('./lib/attempts');
+const { createAttemptLog, summarizeAttempts } = require('./lib/attempt-log');
+const { isAnswered, gradeAnswers, gradeBand } = require('./lib/grading');
+const { dedupeKey, createCertificateRegistry, publicCertificate } = require('./lib/registry');
+const { createProvider } = require('./lib/providers');
+const { createIssuanceOutbox } = require('./lib/outbox');
+const { createStampScheduler, awaitsStampConfirmation } = require('./lib/stamp-scheduler');
+const { computeCid } = require('./lib/providers/local');
+const { OUTPUT_FORMATS, validateOutputOptions } = require('./lib/certificate-output');
+const { loadTemplateManifest, manifestValues, templatePlaceholders } = require('./lib/templates');
+const { sanitizeUserName, normalizeEmail, certificateHashes, writeCertificateFiles, createCertificateGenerator } = require('./lib/certificates');
+const { loadWebhookEndpoints, createWebhookDispatcher } = require('./lib/webhooks');
+const { createStatementBuilder, createXapiClient } = require('./lib/xapi');
+const { createCertificateMailer } = require('./lib/mailer');
+const { loadSigningKey, verifyCredential, credentialFilename, writeCredentialFile, createBadgeIssuer } = require('./lib/open-badges');
+const { createSubmitLimiter, createResendLimiter, createSemaphore } = require('./lib/rate-limit');
+const { createListingCache, createStatusFeed } = require('./lib/status-feed');
+const { acquireDataLock } = require('./lib/data-lock');
+const { textDirection, requestedLocales, negotiateLocale, interpolate, formatWait, createI18n } = require('./lib/i18n');
 
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.EX2_PORT || 3042;
+// Behind a reverse proxy set TRUST_PROXY (hop count, "loopback", a subnet or "true") so req.ip is the client
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust, 10) : (trust === 'true' ? true : trust));
+}
 
 // Middleware
+// Certificate imports from the bulk issuance CLI carry rendered files: admins only, with a larger body limit
+app.use('/api/admin/certificates/import', requireAdmin, express.json({ limit: '50mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
+// Body fields never written to the log (personal data and credentials), at any depth
+const REDACTED_FIELDS = new Set(['name', 'email', 'attemptToken', 'token', 'password', 'secret']);
+
+function redactBody(value) {
+    if (Array.isArray(value)) return value.map(redactBody);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, REDACTED_FIELDS.has(key) ? '[redacted]' : redactBody(v)]));
+}
+
 // Basic request logger with request ID and timing
 app.use((req, res, next) => {
     const startMs = Date.now();
@@ -23,9 +58,12 @@ app.use((req, res, next) => {
         const method = req.method;
         const url = req.originalUrl || req.url;
         console.log(`[${reqId}] → ${method} ${url}`);
-        if (method !== 'GET') {
+        if (method !== 'GET' && url.startsWith('/api/admin/')) {
+            // Admin payloads (quiz definitions with their answers, certificate records) stay out of the log
+            console.log(`[${reqId}] body: <admin payload, ${req.get('content-length') || 0} bytes>`);
+        } else if (method !== 'GET') {
             try {
-                const bodyPreview = JSON.stringify(req.body);
+                const bodyPreview = JSON.stringify(redactBody(req.body));
                 console.log(`[${reqId}] body: ${bodyPreview?.length > 1000 ? bodyPreview.slice(0, 1000) + '…' : bodyPreview}`);
             } catch (e) {
                 console.log(`[${reqId}] body: <unserializable>`);
@@ -46,187 +84,489 @@ const API_BASE_URL = process.env.API_BASE_URL;
 const API_KEY = process.env.API_KEY;
 const API_SECRET = process.env.API_SECRET;
 const API_NETWORK = process.env.API_NETWORK || 'public';
+// 'chainletter' (webhook API) or 'local' (filesystem, simulated stamping); defaults to local without an API key
+const CREDENTIAL_PROVIDER = process.env.CREDENTIAL_PROVIDER || (API_KEY ? 'chainletter' : 'local');
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 const CERT_FONT_FAMILY = process.env.CERT_FONT_FAMILY || 'DejaVu Sans, Arial, sans-serif';
 const CERT_TEMPLATE = process.env.CERT_TEMPLATE || 'default.svg';
 const FOOTER = process.env.FOOTER || '';
 const TEMPLATES_DIR = path.join(__dirname, 'templates');
-
-// Quiz questions (load from .env QUIZ or fallback)
-const QUIZ_FILE = process.env.QUIZ || 'questions.json';
-let quizQuestions = [];
-let quizTitle = 'Quiz';
-let quizTemplate = null; // optional per-quiz template override
-try {
-    const quizPath = path.join(__dirname, QUIZ_FILE);
-    const loaded = require(quizPath);
-    if (Array.isArray(loaded)) {
-        quizQuestions = loaded;
-        quizTitle = 'Quiz';
-    } else if (loaded && typeof loaded === 'object') {
-        quizTitle = loaded.title || 'Quiz';
-        quizQuestions = Array.isArray(loaded.questions) ? loaded.questions : [];
-        if (typeof loaded.template === 'string' && loaded.template.trim().length > 0) {
-            quizTemplate = loaded.template.trim();
-        }
-    }
-    console.log(`Loaded quiz from ${QUIZ_FILE} (title: ${quizTitle}, questions: ${quizQuestions.length}, template: ${quizTemplate || CERT_TEMPLATE})`);
-} catch (e) {
-    console.error(`Failed to load quiz file '${QUIZ_FILE}':`, e.message);
-    quizQuestions = [];
+// Certificate output: formats to render, the one uploaded to the collection, PNG DPI and PDF page size.
+// Template manifests (templates/<name>.json "output") and quiz "output" override these.
+const CERT_OUTPUT_DEFAULTS = {
+    formats: (process.env.CERT_FORMATS || 'png').split(',').map((f) => f.trim().toLowerCase()).filter(Boolean),
+    primary: process.env.CERT_PRIMARY_FORMAT ? process.env.CERT_PRIMARY_FORMAT.trim().toLowerCase() : undefined,
+    dpi: parseInt(process.env.CERT_PNG_DPI || '96', 10),
+    pageSize: process.env.CERT_PDF_PAGE_SIZE || 'A4'
+};
+{
+    const outputErrors = validateOutputOptions(CERT_OUTPUT_DEFAULTS, 'CERT_*');
+    if (outputErrors.length > 0) {
+        console.error(`Invalid certificate output configuration: ${outputErrors.join('; ')}`);
+        process.exit(1);
+    }
 }
 
+const DEFAULT_COLLECTION = process.env.DEFAULT_COLLECTION || 'Cert Demo';
+const DATA_DIR = path.resolve(__dirname, process.env.DATA_DIR || 'data');
+// Return the existing certificate when the same person re-passes the same quiz
+const DEDUPE_CERTIFICATES = process.env.DEDUPE_CERTIFICATES !== 'false';
+// Every rendered format of every certificate, served by the download endpoint
+const DOWNLOADS_DIR = path.join(DATA_DIR, 'downloads');
 
+// Quiz catalog (every JSON file in QUIZZES_DIR; legacy QUIZ env file becomes the default)
+const QUIZZES_DIR = path.resolve(__dirname, process.env.QUIZZES_DIR || 'quizzes');
+const { quizzes, defaultSlug: DEFAULT_QUIZ_SLUG } = loadQuizCatalog({
+    quizzesDir: QUIZZES_DIR,
+    legacyFile: process.env.QUIZ ? path.resolve(__dirname, process.env.QUIZ) : null,
+    defaultSlug: process.env.DEFAULT_QUIZ || null,
+    defaultCollection: DEFAULT_COLLECTION
+});
+console.log(`Loaded ${quizzes.size} quiz(zes) from ${QUIZZES_DIR} (default: ${DEFAULT_QUIZ_SLUG || 'none'})`);
 
-async function loadCertificateTemplate(preferredTemplateName) {
-    // Load template from templates directory; fallback to default inline template if missing
-    const candidatePaths = [
-        preferredTemplateName ? path.join(TEMPLATES_DIR, preferredTemplateName) : null,
-        path.join(TEMPLATES_DIR, CERT_TEMPLATE),
-        path.join(TEMPLATES_DIR, 'default.svg')
-    ];
-    for (const templatePath of candidatePaths) {
-        if (!templatePath) continue;
-        try {
-            const svg = await fs.readFile(templatePath, 'utf8');
-            console.log(`[template] Loaded certificate template from: ${templatePath}`);
-            return svg;
-        } catch (e) {
-            // try next
-            console.log(`[template] Missing template candidate: ${templatePath}`);
-        }
-    }
-    return null;
+function findQuiz(slug) {
+    return quizzes.get(slug || DEFAULT_QUIZ_SLUG) || null;
 }
 
-function applyTemplatePlaceholders(svgContent, replacements) {
-    // Remove inline tspan wrappers that can split placeholders
-    let cleaned = svgContent.replace(/<\/?tspan[^>]*>/gi, '');
-    const escapeForRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const escapeXml = (value) => String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
+// UI and certificate strings (locales/*.json)
+const i18n = createI18n({ localesDir: path.join(__dirname, 'locales') });
 
-    let result = cleaned;
-    for (const [key, value] of Object.entries(replacements)) {
-        const pattern = new RegExp(`##${escapeForRegex(key)}##`, 'g');
-        result = result.replace(pattern, escapeXml(value));
-    }
-    return result;
+// Locale a quiz is served in for this request (?lang=, then Accept-Language, then the quiz's own language)
+function quizLocaleForRequest(quiz, req) {
+    return negotiateLocale(requestedLocales(req), quizLocales(quiz), quiz.locale);
 }
 
-function prepareSvgForSharp(svg) {
-    // Strip XML declaration and DOCTYPE which can confuse some renderers
-    let out = svg.replace(/<\?xml[\s\S]*?\?>/i, '').replace(/<!DOCTYPE[\s\S]*?>/i, '');
-    // Ensure numeric width/height instead of percentages if present
-    out = out.replace(/width="100%"/i, 'width="800"').replace(/height="100%"/i, 'height="600"');
-    return out;
+// Quiz listing entry with title and description in the request's locale
+function localizedSummary(quiz, req) {
+    const localized = localizeQuiz(quiz, quizLocaleForRequest(quiz, req));
+    return { ...summarizeQuiz(quiz), title: localized.title, description: localized.description, locale: localized.locale };
 }
 
-async function withTimeout(promise, ms, label) {
-    let timeoutId;
-    const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => reject(new Error(`Timeout after ${ms}ms${label ? ` (${label})` : ''}`)), ms);
-    });
+// Quiz attempts (signed tokens; correct answers never leave the server)
+const ATTEMPT_TTL_MINUTES = parseInt(process.env.ATTEMPT_TTL_MINUTES || '60', 10);
+if (!process.env.ATTEMPT_SECRET) {
+    console.warn('ATTEMPT_SECRET not set; using a random secret (attempt tokens will not survive a restart)');
+}
+const attemptStore = createAttemptStore({
+    secret: process.env.ATTEMPT_SECRET || crypto.randomBytes(32).toString('hex'),
+    ttlMs: ATTEMPT_TTL_MINUTES * 60 * 1000
+});
+
+// Graded attempts, for the per-question statistics in the admin console
+const attemptLog = createAttemptLog({ filePath: path.join(DATA_DIR, 'attempts.jsonl') });
+
+// Credential backend (upload, stamp, collection listing, file status)
+const provider = createProvider(CREDENTIAL_PROVIDER, {
+    baseUrl: API_BASE_URL,
+    apiKey: API_KEY,
+    apiSecret: API_SECRET,
+    network: API_NETWORK,
+    gatewayUrl: (process.env.IPFS_GATEWAY_URL || 'https://gateway.pinata.cloud').replace(/\/+$/, ''),
+    storageDir: path.join(DATA_DIR, 'local-provider'),
+    publicBaseUrl: PUBLIC_BASE_URL,
+    stampDelayMs: parseInt(process.env.LOCAL_STAMP_DELAY_MS || '5000', 10)
+});
+
+// Collection listings are cached briefly: status pages and the admin console would otherwise list the
+// whole collection upstream for every lookup
+const listings = createListingCache({ provider, ttlMs: parseInt(process.env.STATUS_CACHE_MS || '5000', 10) });
+
+// Issuance registry (append-only JSON Lines under DATA_DIR)
+const registry = createCertificateRegistry({ filePath: path.join(DATA_DIR, 'certificates.jsonl') });
+
+// Signed outgoing webhooks (WEBHOOKS_FILE and/or WEBHOOK_URL), delivered from a durable queue with retries
+const webhooks = createWebhookDispatcher({
+    endpoints: loadWebhookEndpoints({
+        filePath: process.env.WEBHOOKS_FILE ? path.resolve(__dirname, process.env.WEBHOOKS_FILE) : null,
+        url: process.env.WEBHOOK_URL,
+        secret: process.env.WEBHOOK_SECRET,
+        events: process.env.WEBHOOK_EVENTS
+    }),
+    filePath: path.join(DATA_DIR, 'webhooks.json'),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '10', 10),
+    baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10),
+    maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000', 10)
+});
+
+// xAPI statements to a Learning Record Store (XAPI_ENDPOINT), queued while the LRS is unreachable
+const xapi = createXapiClient({
+    endpoint: process.env.XAPI_ENDPOINT,
+    username: process.env.XAPI_USERNAME,
+    password: process.env.XAPI_PASSWORD,
+    filePath: path.join(DATA_DIR, 'xapi.json'),
+    timeoutMs: parseInt(process.env.XAPI_TIMEOUT_MS || '10000', 10),
+    maxAttempts: parseInt(process.env.XAPI_MAX_ATTEMPTS || '20', 10),
+    baseDelayMs: parseInt(process.env.XAPI_RETRY_BASE_MS || '30000', 10),
+    maxDelayMs: parseInt(process.env.XAPI_RETRY_MAX_MS || '3600000', 10)
+});
+const xapiStatements = createStatementBuilder({
+    activityBase: process.env.XAPI_ACTIVITY_BASE || PUBLIC_BASE_URL,
+    accountHomePage: process.env.XAPI_ACCOUNT_HOMEPAGE || PUBLIC_BASE_URL
+});
+
+// Claim short URL for a certificate's file from its permalinks (null until the provider has one)
+async function claimUrlOf(record) {
+    if (!record.fileHash) return null;
     try {
-        const result = await Promise.race([promise, timeoutPromise]);
-        clearTimeout(timeoutId);
-        return result;
+        const status = await provider.getFileStatus(record.collection, record.fileHash);
+        const permalinks = (status && status.export_data && status.export_data.permalinks) || [];
+        const permalink = permalinks.find((p) => p.cid === record.fileHash);
+        return permalink && permalink.shorturl ? permalink.shorturl : null;
     } catch (e) {
-        clearTimeout(timeoutId);
-        throw e;
+        console.warn(`[webhooks] No claim URL for ${record.certificateId}: ${e.message}`);
+        return null;
     }
 }
 
-function sanitizeUserName(input) {
-    if (input === undefined || input === null) return '';
-    const normalized = String(input).normalize('NFKC');
-    // Allow letters, numbers, space and a small set of punctuation typical in names
-    const stripped = normalized.replace(/[^\p{L}\p{N} .,'-]/gu, '');
-    const collapsed = stripped.replace(/\s+/g, ' ').trim();
-    return collapsed.slice(0, 80);
+// Learner page for a certificate (used in emails when the provider has no claim URL yet)
+function completeUrl(record) {
+    const params = new URLSearchParams({ cert: record.certificateId, quiz: record.quiz || '', lang: record.locale || 'en' });
+    if (record.fileHash) params.set('hash', record.fileHash);
+    return `${PUBLIC_BASE_URL}/complete?${params.toString()}`;
 }
 
-// Generate certificate with name and date and return buffer + certificateId
-async function generateCertificate(name, title, templateName, reqId) {
-    const currentDate = new Date().toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
+// Certificate email for a registry record: quiz "email" templates in the record's locale, falling back
+// to the "email.*" strings, with the primary certificate file attached
+async function composeCertificateEmail({ certificateId }) {
+    const record = registry.get(certificateId);
+    if (!record) throw new Error(`Unknown certificate ${certificateId}`);
+    const locale = record.locale || 'en';
+    const quiz = record.quiz ? quizzes.get(record.quiz) : null;
+    const localized = quiz ? localizeQuiz(quiz, locale) : null;
+    const templates = localized ? localized.email : {};
+    const claimUrl = await claimUrlOf(record);
+    const vars = {
+        name: record.name,
+        title: localized ? localized.title : record.quizTitle,
+        claimUrl: claimUrl || completeUrl(record),
+        verifyUrl: verifyUrl(record.certificateId),
+        completeUrl: completeUrl(record),
+        certificateId: record.certificateId,
+        score: record.score ? `${record.score.percent}%` : '',
+        grade: record.score ? localizedGrade(record.score.grade, locale, localized) : ''
+    };
+    const render = (key) => (templates[key] ? interpolate(templates[key], vars) : i18n.lookup(locale, `email.${key}`, vars));
 
-    const certificateId = Date.now().toString();
-
-    // Try to load external SVG template
-    console.log(`[${reqId || 'cert'}] Generating certificate (name="${name}", title="${title}", template="${templateName}")`);
-    const loadedTemplate = await loadCertificateTemplate(templateName);
-
-    let svgToRender;
-    if (loadedTemplate) {
-        const replacements = {
-            CERT_TITLE: 'Certificate of Completion',
-            COURSE_TITLE: title,
-            INTRO_TEXT: 'This is to certify that',
-            NAME: name,
-            COMPLETION_TEXT: `has successfully completed the ${title}`,
-            SECONDARY_TEXT: 'with a perfect score.',
-            DATE: currentDate,
-            CERT_ID: certificateId,
-            FOOTER: FOOTER
-        };
-        console.log(`[${reqId || 'cert'}] Applying placeholders: ${Object.keys(replacements).join(', ')}`);
-        svgToRender = applyTemplatePlaceholders(loadedTemplate, replacements)
-            // allow template fonts to be adjusted by env by replacing default family occurrences
-            .replace(/DejaVu Sans, Arial, sans-serif/g, CERT_FONT_FAMILY);
-        const unresolved = svgToRender.match(/##[A-Z0-9_]+##/g);
-        if (unresolved) {
-            console.warn(`[${reqId || 'cert'}] Warning: Unresolved placeholders remain: ${[...new Set(unresolved)].join(', ')}`);
-        }
-        svgToRender = prepareSvgForSharp(svgToRender);
-        console.log(`[${reqId || 'cert'}] SVG length after prep: ${svgToRender.length}`);
-        console.log(`[${reqId || 'cert'}] SVG preview: ${svgToRender.slice(0, 200).replace(/\n/g, ' ')}…`);
-    } else {
-        // Fallback inline template
-        svgToRender = `
-			<svg width="800" height="600" xmlns="http://www.w3.org/2000/svg">
-				<rect width="800" height="600" fill="#f8f9fa" stroke="#dee2e6" stroke-width="2"/>
-				<rect x="50" y="50" width="700" height="500" fill="white" stroke="#007bff" stroke-width="3"/>
-				<text x="400" y="120" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="36" font-weight="bold" fill="#007bff">Certificate of Completion</text>
-				<text x="400" y="160" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="18" fill="#6c757d">${title}</text>
-				<text x="400" y="250" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="20" fill="#212529">This is to certify that</text>
-				<text x="400" y="300" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="28" font-weight="bold" fill="#007bff">${name}</text>
-				<text x="400" y="350" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="20" fill="#212529">has successfully completed the ${title}</text>
-				<text x="400" y="380" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="20" fill="#212529">with a perfect score.</text>
-				<text x="400" y="450" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="16" fill="#6c757d">Date: ${currentDate}</text>
-				<text x="400" y="520" text-anchor="middle" font-family="${CERT_FONT_FAMILY}" font-size="14" fill="#6c757d">Certificate ID: ${certificateId}</text>
-			</svg>
-		`;
-    }
-
-    // Convert SVG to PNG using Sharp
-    console.log(`[${reqId || 'cert'}] Rendering SVG to PNG via sharp…`);
-    let buffer;
+    const { extension, contentType } = OUTPUT_FORMATS[record.primaryFormat || 'png'];
+    const attachments = [];
     try {
-        buffer = await withTimeout(
-            sharp(Buffer.from(svgToRender))
-                .png()
-                .toBuffer(),
-            15000,
-            'sharp.toBuffer'
-        );
+        attachments.push({
+            filename: `certificate-${record.certificateId}.${extension}`,
+            content: await fs.readFile(path.join(DOWNLOADS_DIR, record.certificateId, `${record.certificateId}.${extension}`)),
+            contentType
+        });
     } catch (e) {
-        console.error(`[${reqId || 'cert'}] Sharp render failed: ${e.message}`);
-        throw e;
+        if (e.code !== 'ENOENT') throw e;
+        console.warn(`[mail] No stored file for ${record.certificateId}; sending without attachment`);
     }
-    console.log(`[${reqId || 'cert'}] Rendered PNG size: ${buffer.length} bytes`);
+    return { subject: render('subject'), text: render('text'), html: render('html'), attachments };
+}
+
+// Certificate emails over SMTP (SMTP_URL), queued and retried like the other outgoing deliveries
+const mailer = createCertificateMailer({
+    smtpUrl: process.env.SMTP_URL,
+    from: process.env.MAIL_FROM || `Certificates <no-reply@${new URL(PUBLIC_BASE_URL).hostname}>`,
+    filePath: path.join(DATA_DIR, 'mail.json'),
+    compose: composeCertificateEmail,
+    onSent: ({ certificateId, to }) => registry.update(certificateId, { emailedAt: new Date().toISOString(), emailedTo: to }),
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '10', 10),
+    baseDelayMs: parseInt(process.env.MAIL_RETRY_BASE_MS || '30000', 10),
+    maxDelayMs: parseInt(process.env.MAIL_RETRY_MAX_MS || '3600000', 10)
+});
 
-    return { buffer, certificateId };
+// Send a certificate.* webhook event for a registry record (claimUrl is looked up when not given)
+async function emitCertificateEvent(type, record, claimUrl) {
+    await webhooks.emit(type, {
+        certificateId: record.certificateId,
+        quiz: record.quiz,
+        quizTitle: record.quizTitle,
+        name: record.name,
+        locale: record.locale || 'en',
+        score: record.score,
+        collection: record.collection,
+        status: record.status,
+        fileHash: record.fileHash,
+        sha256: record.sha256,
+        claimUrl: claimUrl === undefined ? await claimUrlOf(record) : claimUrl,
+        verifyUrl: verifyUrl(record.certificateId),
+        stampedAt: record.stampedAt,
+        error: record.error || null
+    });
+}
+
+// Batched stamping: each collection is stamped at most once per interval, or once a batch fills up
+const stampScheduler = createStampScheduler({
+    provider,
+    registry,
+    intervalMs: parseInt(process.env.STAMP_INTERVAL_MS || '60000', 10),
+    batchSize: parseInt(process.env.STAMP_BATCH_SIZE || '25', 10),
+    confirmDelayMs: parseInt(process.env.STAMP_CONFIRM_DELAY_MS || '30000', 10),
+    maxConfirmChecks: parseInt(process.env.STAMP_CONFIRM_MAX_CHECKS || '12', 10),
+    onStamped: (record) => {
+        listings.invalidate(record.collection);
+        if (record.source === 'bulk') return null;
+        return emitCertificateEvent('certificate.stamped', record);
+    }
+});
+
+// Live status for the complete page (server-sent events), polling the backend with backoff
+const statusFeed = createStatusFeed({
+    provider,
+    registry,
+    listings,
+    stampScheduler,
+    transactionIdOf,
+    baseDelayMs: parseInt(process.env.STATUS_POLL_BASE_MS || '2000', 10),
+    maxDelayMs: parseInt(process.env.STATUS_POLL_MAX_MS || '60000', 10)
+});
+// A status stream ends after this long even if the stamp is not confirmed yet (the page can refresh by hand)
+const STATUS_STREAM_MAX_MS = parseInt(process.env.STATUS_STREAM_MAX_MS || '1800000', 10);
+
+// Durable outbox: certificate upload runs in the background with retries, then joins the stamp batch
+const outbox = createIssuanceOutbox({
+    filePath: path.join(DATA_DIR, 'outbox.json'),
+    filesDir: path.join(DATA_DIR, 'outbox'),
+    provider,
+    registry,
+    // Runs once per certificate after its upload; each step fails on its own (a certificate left
+    // 'uploaded' is picked up by the stamp scheduler's restore)
+    onUploaded: async (payload) => {
+        const id = payload.certificateId;
+        listings.invalidate(payload.collection);
+        try {
+            await stampScheduler.add(payload.collection, id);
+        } catch (e) {
+            console.error(`[outbox] Could not queue ${id} for stamping: ${e.message}`);
+        }
+        const record = registry.get(id);
+        // Certificates from the bulk issuance CLI send no webhooks, xAPI statements or emails
+        if (record.source === 'bulk') return;
+        let claimUrl = null;
+        try {
+            claimUrl = await claimUrlOf(record);
+        } catch (e) {
+            console.warn(`[outbox] Could not look up claim URL of ${id}: ${e.message}`);
+        }
+        try {
+            await emitCertificateEvent('certificate.issued', record, claimUrl);
+        } catch (e) {
+            console.error(`[outbox] certificate.issued webhook for ${id} failed: ${e.message}`);
+        }
+        try {
+            await xapi.send([xapiStatements.certifiedStatement(record, { claimUrl, verifyUrl: verifyUrl(id) })], `earned ${id}`);
+        } catch (e) {
+            console.error(`[outbox] xAPI statement for ${id} failed: ${e.message}`);
+        }
+        if (record.email) {
+            try {
+                await mailer.send({ certificateId: id, to: record.email });
+            } catch (e) {
+                console.error(`[outbox] Certificate email for ${id} failed: ${e.message}`);
+            }
+        }
+    },
+    onFailed: (record) => (record.source === 'bulk' ? null : emitCertificateEvent('certificate.upload_failed', record)),
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10),
+    baseDelayMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS || '5000', 10),
+    maxDelayMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS || '600000', 10)
+});
+
+// Operator endpoints require ADMIN_TOKEN as a bearer token (disabled when unset)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(503).json({ success: false, message: 'Admin endpoints are disabled (ADMIN_TOKEN not set)' });
+    }
+    const header = req.get('authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-token') || '');
+    const a = Buffer.from(given);
+    const b = Buffer.from(ADMIN_TOKEN);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+    next();
+}
+// Dedupe keys with an issuance in progress, so concurrent submissions cannot mint twice
+const issuancesInFlight = new Set();
+
+// Submission limits per client IP and per learner (name, email); 0 turns a limit off
+const submitLimiter = createSubmitLimiter({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
+    attemptsPerIp: parseInt(process.env.RATE_LIMIT_ATTEMPTS_PER_IP || '30', 10),
+    attemptsPerLearner: parseInt(process.env.RATE_LIMIT_ATTEMPTS_PER_LEARNER || '10', 10),
+    cooldownMs: parseInt(process.env.RATE_LIMIT_COOLDOWN_MS || '15000', 10),
+    maxCooldownMs: parseInt(process.env.RATE_LIMIT_COOLDOWN_MAX_MS || '900000', 10),
+    certificatesPerIp: parseInt(process.env.RATE_LIMIT_CERTS_PER_IP || '50', 10),
+    certificatesPerLearner: parseInt(process.env.RATE_LIMIT_CERTS_PER_LEARNER || '5', 10),
+    certificatesPerDay: parseInt(process.env.RATE_LIMIT_CERTS_PER_DAY || '500', 10)
+});
+const resendLimiter = createResendLimiter({
+    perCertificate: parseInt(process.env.RATE_LIMIT_RESENDS_PER_CERT || '3', 10),
+    perIp: parseInt(process.env.RATE_LIMIT_RESENDS_PER_IP || '10', 10)
+});
+
+// 429 for a limit hit by a learner request, with Retry-After and a message in the learner's language
+function sendRateLimited(res, locale, limited, messageKey = `submit.${limited.code}`) {
+    const retryAfter = Math.max(1, Math.ceil(limited.retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: limited.code,
+        retryAfter,
+        message: i18n.t(locale, messageKey, { wait: formatWait(retryAfter, locale) })
+    });
+}
+
+// Certificate renders running at once; further ones wait for a slot instead of piling up sharp jobs
+const renderSlots = createSemaphore(Math.max(1, parseInt(process.env.RENDER_CONCURRENCY || '2', 10) || 1));
+
+// Public page where anyone holding a certificate can check it
+function verifyUrl(certificateId) {
+    return `${PUBLIC_BASE_URL}/verify/${encodeURIComponent(certificateId)}`;
+}
+
+// Transaction ID from a provider file-status payload (field name varies by network)
+function transactionIdOf(status) {
+    const d = status && status.data ? status.data : {};
+    return d.foreign_tx_id || d.tx_id || d.transaction_id || d.transactionId || d.txhash || d.tx_hash || null;
+}
+
+// Resolve the collection for status lookups from ?quiz=<slug>, falling back to the default collection
+function collectionForRequest(req) {
+    const quiz = req.query.quiz ? quizzes.get(String(req.query.quiz)) : null;
+    return quiz ? quiz.collection : DEFAULT_COLLECTION;
+}
+
+// Template loading, placeholder filling and rendering (shared with scripts/issue-bulk.js)
+const { generateCertificate, localizedGrade } = createCertificateGenerator({
+    templatesDir: TEMPLATES_DIR,
+    defaultTemplate: CERT_TEMPLATE,
+    fontFamily: CERT_FONT_FAMILY,
+    footer: FOOTER,
+    outputDefaults: CERT_OUTPUT_DEFAULTS,
+    i18n,
+    verifyUrl,
+    renderSlots
+});
+
+// Where a certificate's Open Badges credential is served (also the credential's "id")
+function credentialUrl(certificateId) {
+    return `${PUBLIC_BASE_URL}/api/certificates/${encodeURIComponent(certificateId)}/credential`;
+}
+
+// Achievement a credential is for: the quiz page, or the course title for certificates without a quiz
+function achievementUrl(quiz, title) {
+    return quiz ? `${PUBLIC_BASE_URL}/quiz/${encodeURIComponent(quiz.slug)}` : `${PUBLIC_BASE_URL}/courses/${encodeURIComponent(title)}`;
+}
+
+// Open Badges 3.0 credentials signed with the issuer's Ed25519 key (disabled without OB_SIGNING_KEY[_FILE])
+const badges = createBadgeIssuer({
+    signingKey: loadSigningKey({
+        pem: process.env.OB_SIGNING_KEY,
+        filePath: process.env.OB_SIGNING_KEY_FILE ? path.resolve(__dirname, process.env.OB_SIGNING_KEY_FILE) : null
+    }),
+    issuer: {
+        name: process.env.OB_ISSUER_NAME || 'Quiz Certificate Demo',
+        url: process.env.OB_ISSUER_URL || PUBLIC_BASE_URL,
+        email: process.env.OB_ISSUER_EMAIL
+    },
+    i18n,
+    verifyUrl,
+    credentialUrl,
+    achievementUrl
+});
+
+// Keep every rendered format (and the credential) for the download endpoints
+async function storeDownloads(certificateId, files, badge) {
+    const dir = path.join(DOWNLOADS_DIR, certificateId);
+    await writeCertificateFiles(dir, certificateId, files);
+    if (badge) await writeCredentialFile(dir, certificateId, badge.json);
+}
+
+// Render and record one certificate, queue its upload + stamp, then answer the submit request
+async function issueCertificate({ quiz, locale, safeName, email, grade, scoreSummary, attemptId, reqId, res }) {
+    // Generate certificate
+    console.log(`[${reqId}] Generating certificate…`);
+    const localized = localizeQuiz(quiz, locale);
+    const issuedAt = new Date();
+    const rendered = await generateCertificate({
+        name: safeName,
+        title: localized.title,
+        templateName: quiz.template || CERT_TEMPLATE,
+        grade,
+        quiz,
+        locale,
+        date: issuedAt
+    }, reqId);
+    const { certificateId, output, templateName } = rendered;
+    // Signed Open Badges credential; PNG output gets it baked in, so hash and upload the baked files
+    const badge = badges.issue({
+        files: rendered.files,
+        certificateId,
+        name: safeName,
+        quiz,
+        title: localized.title,
+        description: localized.description,
+        locale,
+        grade,
+        date: issuedAt
+    });
+    const files = badge ? badge.files : rendered.files;
+    await storeDownloads(certificateId, files, badge);
+    await registry.create({
+        certificateId,
+        status: 'queued',
+        name: safeName,
+        quiz: quiz.slug,
+        quizTitle: quiz.title,
+        attemptId,
+        email: email || null,
+        locale,
+        score: { earned: grade.earned, possible: grade.possible, percent: grade.percent, grade: grade.grade },
+        template: templateName || 'inline',
+        collection: quiz.collection,
+        formats: output.formats,
+        primaryFormat: output.primary,
+        // SHA-256 of every rendered format too, so a downloaded PDF/SVG can be verified
+        ...certificateHashes(files, output.primary),
+        ...(badge ? { credentialSha256: crypto.createHash('sha256').update(badge.json).digest('hex') } : {})
+    });
+
+    // Upload happens in the outbox worker and stamping in the next batch; the learner goes straight to the pending page
+    await outbox.enqueue({
+        certificateId,
+        quiz: quiz.slug,
+        collection: quiz.collection,
+        buffer: files[output.primary],
+        filename: `${certificateId}.${OUTPUT_FORMATS[output.primary].extension}`,
+        contentType: OUTPUT_FORMATS[output.primary].contentType,
+        credential: badge ? { buffer: Buffer.from(badge.json, 'utf8'), filename: credentialFilename(certificateId), contentType: 'application/json' } : null
+    });
+    console.log(`[${reqId}] Queued certificate ${certificateId} for upload to "${quiz.collection}" via ${provider.name}`);
+
+    res.json({
+        success: true,
+        quiz: quiz.slug,
+        ...scoreSummary,
+        message: grade.perfect
+            ? i18n.t(locale, 'submit.perfect')
+            : i18n.t(locale, 'submit.passed', { percent: grade.percent }),
+        certificateId,
+        pending: true,
+        fileHash: null
+    });
 }
 
 // Routes
 app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'quizzes.html'));
+});
+
+app.get('/quiz/:slug', (req, res) => {
+    if (!quizzes.has(req.params.slug)) {
+        return res.status(404).send('Quiz not found');
+    }
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
@@ -234,145 +574,295 @@ app.get('/complete', (req, res) => {
     res.sendFile(path.join(__dirname, 'complete.html'));
 });
 
-// API endpoint to get quiz questions
-app.get('/api/quiz', (req, res) => {
-    res.json({ title: quizTitle, questions: quizQuestions });
+app.get(['/verify', '/verify/:certId'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'verify.html'));
 });
 
-// API endpoint to submit quiz answers
-app.post('/api/submit-quiz', async (req, res) => {
-    try {
-        const { name, answers } = req.body;
-        const reqId = req._reqId || 'submit';
-        const safeName = sanitizeUserName(name);
-        console.log(`[${reqId}] Submit received. Name(len=${(name || '').length})->Safe(len=${safeName.length}), answers length: ${Array.isArray(answers) ? answers.length : 'n/a'}, expected: ${quizQuestions.length}`);
+// Admin console (the page asks for ADMIN_TOKEN; every API call it makes is checked by requireAdmin)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
 
-        if (!safeName || !answers || answers.length !== quizQuestions.length) {
-            return res.status(400).json({
-                success: false,
-                message: 'Valid name and all answers are required'
+// API endpoint with the page strings for a locale (?lang= or Accept-Language)
+app.get('/api/i18n', (req, res) => {
+    const locale = negotiateLocale(requestedLocales(req), i18n.locales);
+    res.json({
+        locale,
+        dir: textDirection(locale),
+        locales: i18n.locales.map((tag) => ({ locale: tag, name: i18n.t(tag, 'language') })),
+        strings: i18n.strings(locale)
+    });
+});
+
+// API endpoint to list available quizzes (titles in the requested locale where translated)
+app.get('/api/quizzes', (req, res) => {
+    res.json({
+        defaultQuiz: DEFAULT_QUIZ_SLUG,
+        quizzes: [...quizzes.values()].map((quiz) => localizedSummary(quiz, req))
+    });
+});
+
+// API endpoint to get quiz metadata (no questions)
+app.get('/api/quizzes/:slug', (req, res) => {
+    const quiz = quizzes.get(req.params.slug);
+    if (!quiz) {
+        return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+    res.json(localizedSummary(quiz, req));
+});
+
+// Template files in templates/ (without path components), or null for anything else
+async function findTemplateFile(name) {
+    const fileName = /\.svg$/i.test(name) ? name : `${name}.svg`;
+    if (!/^[\w.-]+$/.test(fileName)) return null;
+    const files = await fs.readdir(TEMPLATES_DIR);
+    return files.includes(fileName) ? fileName : null;
+}
+
+// API endpoint to list certificate templates with their placeholders and manifest fields
+app.get('/api/templates', async (req, res) => {
+    try {
+        const files = (await fs.readdir(TEMPLATES_DIR)).filter((f) => /\.svg$/i.test(f)).sort();
+        const templates = [];
+        for (const file of files) {
+            const manifest = await loadTemplateManifest(TEMPLATES_DIR, file);
+            templates.push({
+                name: file,
+                placeholders: templatePlaceholders(await fs.readFile(path.join(TEMPLATES_DIR, file), 'utf8')),
+                fields: manifest.fields || {},
+                output: manifest.output || null,
+                previewUrl: `/api/templates/${encodeURIComponent(file)}/preview`
             });
         }
+        res.json({ success: true, defaultTemplate: CERT_TEMPLATE, templates });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to list templates', error: error.message });
+    }
+});
 
-        // Check answers
-        let correctAnswers = 0;
-        for (let i = 0; i < quizQuestions.length; i++) {
-            if (answers[i] === quizQuestions[i].correct) {
-                correctAnswers++;
-            }
+// API endpoint to render a template with sample data: ?format=png|pdf|svg, ?quiz=<slug> for that quiz's
+// title and fields, ?lang= for the certificate language, ?fields[NAME]=... to try specific values.
+// Unfilled placeholders are listed in the X-Unresolved-Placeholders header. Admins only: every preview
+// is a full render.
+app.get('/api/templates/:name/preview', requireAdmin, async (req, res) => {
+    try {
+        const templateName = await findTemplateFile(req.params.name);
+        if (!templateName) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+        const format = String(req.query.format || 'png').toLowerCase();
+        if (!OUTPUT_FORMATS[format]) {
+            return res.status(400).json({ success: false, message: `format must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}` });
+        }
+        const quiz = req.query.quiz ? quizzes.get(String(req.query.quiz)) : null;
+        if (req.query.quiz && !quiz) {
+            return res.status(404).json({ success: false, message: 'Quiz not found' });
         }
+        const queryFields = req.query.fields && typeof req.query.fields === 'object' ? req.query.fields : {};
+        const manifest = await loadTemplateManifest(TEMPLATES_DIR, templateName);
+        const overrides = { ...manifestValues(manifest, { sample: true }) };
+        if (quiz) {
+            // Values the chosen quiz supplies win over the manifest samples
+            for (const key of ['COURSE_TITLE', 'COMPLETION_TEXT', ...Object.keys(quiz.fields || {})]) delete overrides[key];
+        }
+        for (const [key, value] of Object.entries(queryFields)) {
+            if (typeof value === 'string') overrides[key] = value;
+        }
+        const locale = quiz ? quizLocaleForRequest(quiz, req) : negotiateLocale(requestedLocales(req), i18n.locales);
+        const percent = 90;
+        const { files, unresolved } = await generateCertificate({
+            name: 'Alexandra Montgomery-Smith',
+            title: quiz ? localizeQuiz(quiz, locale).title : 'Sample Course',
+            templateName,
+            grade: { earned: 9, possible: 10, percent, perfect: false, grade: gradeBand(percent, quiz && quiz.gradeBands) },
+            quiz,
+            locale,
+            overrides,
+            outputOverride: { formats: [format], primary: format },
+            certificateId: 'PREVIEW-00000000'
+        }, req._reqId);
+        res.set('Content-Type', OUTPUT_FORMATS[format].contentType);
+        res.set('Cache-Control', 'no-store');
+        res.set('X-Unresolved-Placeholders', unresolved.join(','));
+        res.send(files[format]);
+    } catch (error) {
+        console.error(`[${req._reqId}] Template preview failed: ${error.message}`);
+        res.status(500).json({ success: false, message: 'Failed to render template preview', error: error.message });
+    }
+});
 
-        const isPerfect = correctAnswers === quizQuestions.length;
-        console.log(`[${reqId}] Graded quiz. Correct: ${correctAnswers}/${quizQuestions.length}. Perfect: ${isPerfect}`);
+// API endpoint to start a quiz attempt (no slug = default quiz).
+// Returns answer-free questions with options shuffled server-side and a signed attempt token.
+// Questions come in the quiz translation best matching ?lang= / Accept-Language.
+app.get(['/api/quiz', '/api/quiz/:slug'], (req, res) => {
+    const quiz = findQuiz(req.params.slug);
+    if (!quiz) {
+        return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+    const locale = quizLocaleForRequest(quiz, req);
+    const localized = localizeQuiz(quiz, locale);
+    const { token, attempt, questions } = attemptStore.start(quiz, {
+        localized,
+        trueFalseLabels: [i18n.t(locale, 'question.true'), i18n.t(locale, 'question.false')]
+    });
+    console.log(`[${req._reqId}] Started attempt ${attempt.id} for quiz ${quiz.slug} (locale ${locale})`);
+    res.json({
+        slug: quiz.slug,
+        title: localized.title,
+        description: localized.description,
+        locale,
+        dir: textDirection(locale),
+        locales: quizLocales(quiz),
+        passThreshold: quiz.passThreshold,
+        attemptToken: token,
+        expiresAt: new Date(attempt.expiresAt).toISOString(),
+        questions
+    });
+});
 
-        if (!isPerfect) {
-            console.log(`[${reqId}] Not perfect. Returning early.`);
-            return res.json({
-                success: true,
-                perfect: false,
-                score: correctAnswers,
-                total: quizQuestions.length,
-                message: `You got ${correctAnswers} out of ${quizQuestions.length} correct. Try again for a perfect score!`
+// API endpoint to submit quiz answers (no slug = default quiz)
+app.post(['/api/submit-quiz', '/api/submit-quiz/:slug'], async (req, res) => {
+    // Certificate being minted by this request: { key, uncount, issued }
+    let issuing = null;
+    try {
+        const quiz = findQuiz(req.params.slug);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
             });
         }
+        const { name, email: emailInput, answers, attemptToken } = req.body;
+        const reqId = req._reqId || 'submit';
+        const safeName = sanitizeUserName(name);
+        const email = normalizeEmail(emailInput);
 
-        // Generate certificate
-        console.log(`[${reqId}] Generating certificate…`);
-        const { buffer: certBuffer, certificateId } = await generateCertificate(safeName, quizTitle, quizTemplate || CERT_TEMPLATE, reqId);
-        const certFilename = `${certificateId}.png`;
-        const certPath = path.join(__dirname, certFilename);
-        await fs.writeFile(certPath, certBuffer);
-        console.log(`[${reqId}] Wrote certificate file: ${certPath} (${certBuffer.length} bytes)`);
-
-        // Upload certificate file (creates collection if it doesn't exist)
-        const collectionName = 'Cert Demo';
-        const FormData = require('form-data');
-        const formData = new FormData();
-        formData.append('file', certBuffer, {
-            filename: certFilename,
-            contentType: 'image/png'
-        });
-
-        console.log(`[${reqId}] Uploading certificate… filename=${certFilename}, collection="${collectionName}"`);
-
-        let fileHash = 'unknown';
+        const { attempt, error: attemptError, code: attemptCode } = attemptStore.check(attemptToken, quiz.slug);
+        if (!attempt) {
+            console.log(`[${reqId}] Rejected attempt token: ${attemptCode} (${attemptError})`);
+            return res.status(attemptCode === 'attempt_invalid' ? 400 : 409).json({
+                success: false,
+                code: attemptCode,
+                message: i18n.t(quizLocaleForRequest(quiz, req), `submit.${attemptCode}`)
+            });
+        }
+        const locale = attempt.locale || quiz.locale;
+        console.log(`[${reqId}] Submit received for attempt ${attempt.id}. Name(len=${(name || '').length})->Safe(len=${safeName.length}), answers length: ${Array.isArray(answers) ? answers.length : 'n/a'}, expected: ${attempt.questions.length}`);
 
-        try {
-            const uploadUrl = `${API_BASE_URL}/webhook/${API_KEY}`;
-            console.log(`[${reqId}] POST ${uploadUrl}`);
-            const response = await axios.post(uploadUrl, formData, {
-                headers: {
-                    'secret-key': API_SECRET,
-                    'group-id': collectionName,
-                    'network': API_NETWORK,
-                    ...formData.getHeaders() // Include FormData headers
-                }
+        const allAnswered = Array.isArray(answers) && answers.length === attempt.questions.length &&
+            attempt.questions.every((q, i) => isAnswered(q.question, answers[i]));
+        if (!safeName || !allAnswered) {
+            return res.status(400).json({
+                success: false,
+                message: i18n.t(locale, 'submit.invalid')
             });
-            console.log(`[${reqId}] Upload response status: ${response.status}`);
-            try {
-                console.log(`[${reqId}] Upload response data keys: ${Object.keys(response.data || {}).join(', ')}`);
-            } catch (_) { }
-            fileHash = response.data?.hash || 'unknown';
+        }
+        if (email === null) {
+            return res.status(400).json({
+                success: false,
+                message: i18n.t(locale, 'submit.invalidEmail')
+            });
+        }
+        const limitKeys = submitLimiter.keysFor({ ip: req.ip, name: safeName, email });
+        const limited = submitLimiter.checkAttempt(limitKeys);
+        if (limited) {
+            // The attempt is not consumed, so the learner can submit the same answers once the wait is over
+            console.log(`[${reqId}] Submission limited (${limited.code} on ${limited.key}, retry in ${limited.retryAfterMs}ms)`);
+            return sendRateLimited(res, locale, limited);
+        }
 
-            // Attempt to delete local file after successful upload
-            try {
-                await fs.unlink(certPath);
-                console.log(`[${reqId}] Local certificate deleted: ${certFilename}`);
-            } catch (e) {
-                console.warn(`[${reqId}] Could not delete local certificate file: ${e.message}`);
-            }
-        } catch (uploadError) {
-            console.error(`[${reqId}] Upload failed: ${uploadError.message}`);
-            if (uploadError.response) {
-                console.error(`[${reqId}] Upload error status: ${uploadError.response.status}`);
-                try {
-                    console.error(`[${reqId}] Upload error data: ${JSON.stringify(uploadError.response.data)}`);
-                } catch (_) { }
+        // Grade against the served questions (option positions are mapped back server-side)
+        const grade = gradeAnswers(attempt.questions, answers, { passThreshold: quiz.passThreshold, gradeBands: quiz.gradeBands });
+        console.log(`[${reqId}] Graded quiz. Points: ${grade.earned}/${grade.possible} (${grade.percent}%), correct: ${grade.correctCount}/${grade.questionCount}, grade: ${grade.grade}, passed: ${grade.passed}`);
+
+        // Same person re-passing the same quiz gets their existing certificate back
+        const issuanceKey = dedupeKey(quiz.slug, safeName);
+        const existing = grade.passed && DEDUPE_CERTIFICATES ? registry.findIssued(quiz.slug, safeName) : null;
+        if (grade.passed && !existing) {
+            // A pass that cannot be turned into a certificate yet leaves the attempt unconsumed, so the
+            // learner can submit the same answers later
+            if (DEDUPE_CERTIFICATES && issuancesInFlight.has(issuanceKey)) {
+                return res.status(409).json({
+                    success: false,
+                    message: i18n.t(locale, 'submit.inProgress')
+                });
             }
-            try {
-                await fs.unlink(certPath);
-                console.log(`[${reqId}] Local certificate deleted after failed upload: ${certFilename}`);
-            } catch (e) {
-                console.warn(`[${reqId}] Could not delete local certificate file after failed upload: ${e.message}`);
+            const certificateLimited = submitLimiter.checkCertificate(limitKeys);
+            if (certificateLimited) {
+                console.log(`[${reqId}] Certificate limit reached (${certificateLimited.key}, retry in ${certificateLimited.retryAfterMs}ms)`);
+                return sendRateLimited(res, locale, certificateLimited);
             }
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to upload certificate',
-                error: uploadError.message
-            });
+            // Held from here so concurrent submissions see it; given back below if issuance fails
+            issuancesInFlight.add(issuanceKey);
+            issuing = { key: issuanceKey, uncount: submitLimiter.recordCertificate(limitKeys) };
         }
+        attemptStore.consume(attempt);
+        submitLimiter.recordAttempt(limitKeys, grade.passed);
+        await attemptLog.record({ attempt, name: safeName, grade });
+        await webhooks.emit('attempt.graded', {
+            attemptId: attempt.id,
+            quiz: quiz.slug,
+            quizTitle: quiz.title,
+            name: safeName,
+            locale,
+            score: { earned: grade.earned, possible: grade.possible, percent: grade.percent, grade: grade.grade, passed: grade.passed, perfect: grade.perfect },
+            passThreshold: quiz.passThreshold
+        });
+        await xapi.send(xapiStatements.attemptStatements({
+            quiz,
+            title: localizeQuiz(quiz, locale).title,
+            attempt,
+            answers,
+            grade,
+            name: safeName,
+            locale
+        }), `attempt ${attempt.id}`);
+        const scoreSummary = {
+            passed: grade.passed,
+            perfect: grade.perfect,
+            score: grade.earned,
+            total: grade.possible,
+            percent: grade.percent,
+            grade: localizedGrade(grade.grade, locale, localizeQuiz(quiz, locale)),
+            passThreshold: quiz.passThreshold,
+            locale
+        };
 
-        // Stamp the collection after uploading the certificate
-        try {
-            const stampUrl = `${API_BASE_URL}/webhook/${API_KEY}`;
-            console.log(`[${reqId}] Patching collection (stamp)… ${stampUrl}`);
-            const stampResponse = await axios.patch(stampUrl, {}, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'secret-key': API_SECRET,
-                    'group-id': collectionName,
-                    'network': API_NETWORK
-                }
+        if (!grade.passed) {
+            console.log(`[${reqId}] Below pass threshold (${quiz.passThreshold}%). Returning early.`);
+            return res.json({
+                success: true,
+                quiz: quiz.slug,
+                ...scoreSummary,
+                message: i18n.t(locale, 'submit.failed', {
+                    percent: grade.percent,
+                    earned: grade.earned,
+                    possible: grade.possible,
+                    threshold: quiz.passThreshold
+                })
             });
+        }
 
-            if (stampResponse.status === 200) {
-                console.log(`[${reqId}] Collection stamped successfully`);
-            } else {
-                console.error(`[${reqId}] Failed to stamp collection: ${stampResponse.status}`);
+        if (existing) {
+            console.log(`[${reqId}] Returning existing certificate ${existing.certificateId} instead of minting a duplicate`);
+            if (email) {
+                // Send the existing certificate to the address given now (after upload, if still queued)
+                await registry.update(existing.certificateId, { email });
+                if (existing.fileHash) await mailer.send({ certificateId: existing.certificateId, to: email, reason: 'duplicate' });
             }
-        } catch (error) {
-            console.error(`[${reqId}] Failed to stamp collection: ${error.message}`);
+            return res.json({
+                success: true,
+                quiz: quiz.slug,
+                ...scoreSummary,
+                duplicate: true,
+                message: i18n.t(locale, 'submit.duplicate'),
+                certificateId: existing.certificateId,
+                pending: !existing.fileHash,
+                fileHash: existing.fileHash
+            });
         }
-
-        console.log(`[${reqId}] Sending success response. fileHash=${fileHash}`);
-        res.json({
-            success: true,
-            perfect: true,
-            score: correctAnswers,
-            total: quizQuestions.length,
-            message: 'Perfect score! Your certificate has been generated and uploaded.',
-            fileHash: fileHash
-        });
+        await issueCertificate({ quiz, locale, safeName, email, grade, scoreSummary, attemptId: attempt.id, reqId, res });
+        issuing.issued = true;
 
     } catch (error) {
         const reqId = req._reqId || 'submit';
@@ -383,6 +873,12 @@ app.post('/api/submit-quiz', async (req, res) => {
             message: 'Failed to process quiz submission',
             error: error.message
         });
+    } finally {
+        if (issuing) {
+            issuancesInFlight.delete(issuing.key);
+            // Only a minted certificate counts against the limits
+            if (!issuing.issued) issuing.uncount();
+        }
     }
 });
 
@@ -390,6 +886,7 @@ app.post('/api/submit-quiz', async (req, res) => {
 app.get('/api/file-info/:hash', async (req, res) => {
     try {
         const { hash } = req.params;
+        const collectionName = collectionForRequest(req);
 
         if (!hash) {
             return res.status(400).json({
@@ -399,51 +896,28 @@ app.get('/api/file-info/:hash', async (req, res) => {
         }
 
         // Get file info from group (includes gatewayurl)
-        const response = await axios.get(`${API_BASE_URL}/webhook/${API_KEY}`, {
-            headers: {
-                'secret-key': API_SECRET,
-                'network': API_NETWORK,
-                'group-id': 'Cert Demo'
-            }
-        });
-
-        if (response.status !== 200) {
-            return res.status(response.status).json({
-                success: false,
-                message: 'Failed to get collection files',
-                error: `HTTP ${response.status}`
-            });
-        }
-
-        const data = response.data;
-
-        if (!data.files) {
-            return res.status(500).json({
-                success: false,
-                message: 'Invalid response format',
-                error: 'No files array in response'
-            });
-        }
+        const files = await listings.list(collectionName);
 
         // Find the specific file by hash
-        const targetFile = data.files.find(file => file.hash === hash);
+        const targetFile = files.find(file => file.hash === hash);
 
         if (!targetFile) {
             return res.status(404).json({
                 success: false,
                 message: 'File not found in collection',
-                error: 'File hash not found in Cert Demo collection'
+                error: `File hash not found in ${collectionName} collection`
             });
         }
 
         res.json({
             success: true,
-            data: targetFile
+            data: targetFile,
+            imageUrl: provider.fileUrl(targetFile.hash)
         });
 
     } catch (error) {
         console.error('File info check error:', error.message);
-        res.status(500).json({
+        res.status(error.response?.status || 500).json({
             success: false,
             message: 'Failed to get file info',
             error: error.message
@@ -455,6 +929,7 @@ app.get('/api/file-info/:hash', async (req, res) => {
 app.get('/api/file-status/:hash', async (req, res) => {
     try {
         const { hash } = req.params;
+        const collectionName = collectionForRequest(req);
 
         if (!hash) {
             return res.status(400).json({
@@ -464,58 +939,800 @@ app.get('/api/file-status/:hash', async (req, res) => {
         }
 
         // Get specific file status with blockchain info and export links
-        const response = await axios.get(`${API_BASE_URL}/webhook/${API_KEY}`, {
-            headers: {
-                'secret-key': API_SECRET,
-                'network': API_NETWORK,
-                'hash': hash,
-                'group-id': 'Cert Demo',
-                'export-links': 'true'
-            }
+        const data = await provider.getFileStatus(collectionName, hash);
+
+        // Local stamp state (awaiting batch / requested / stamped); a transaction ID upstream confirms the stamp
+        let record = registry.findByHash(hash);
+        if (record && awaitsStampConfirmation(record) && transactionIdOf(data)) {
+            record = await stampScheduler.markStamped(record.certificateId);
+        }
+
+        res.json({
+            success: true,
+            data: data,
+            stamp: record ? stampScheduler.stampState(record) : null
         });
 
-        if (response.status !== 200) {
+    } catch (error) {
+        console.error('File status check error:', error.message);
+        if (error.response) {
             console.error('File status check failed:', {
-                httpStatus: response.status,
-                responseHeaders: response.headers,
-                responseBody: response.data
+                httpStatus: error.response.status,
+                responseHeaders: error.response.headers,
+                responseBody: error.response.data
             });
-            return res.status(response.status).json({
+            return res.status(error.response.status).json({
                 success: false,
                 message: 'Failed to get file status',
-                error: `HTTP ${response.status}`,
+                error: `HTTP ${error.response.status}`,
                 debug: {
-                    responseHeaders: response.headers,
-                    responseBody: response.data
+                    responseHeaders: error.response.headers,
+                    responseBody: error.response.data
                 }
             });
         }
+        res.status(error.status || 500).json({
+            success: false,
+            message: 'Failed to get file status',
+            error: error.message
+        });
+    }
+});
 
-        const data = response.data;
+// Server-sent events with live status for the complete page: a "status" event right away and after every
+// change (upload, stamp, transaction ID, claim link), then "end" once the stamp is confirmed. The
+// certificate form also covers the time before the upload, when there is no file hash yet.
+app.get(['/api/file-status/:hash/events', '/api/certificates/:certId/events'], async (req, res) => {
+    let target;
+    if (req.params.certId) {
+        if (!registry.get(req.params.certId)) {
+            return res.status(404).json({ success: false, message: 'Certificate not found' });
+        }
+        target = { certificateId: req.params.certId };
+    } else {
+        const { hash } = req.params;
+        const record = registry.findByHash(hash);
+        if (record) {
+            target = { certificateId: record.certificateId };
+        } else {
+            // Files uploaded elsewhere can be watched too, as long as the collection has them
+            const collection = collectionForRequest(req);
+            try {
+                const files = await listings.list(collection);
+                if (!files.some((f) => f.hash === hash)) {
+                    return res.status(404).json({ success: false, message: 'File not found in collection' });
+                }
+            } catch (error) {
+                console.error('Status stream lookup error:', error.message);
+                return res.status(502).json({ success: false, message: 'Failed to get file status', error: error.message });
+            }
+            target = { hash, collection };
+        }
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    const send = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (event === 'end') res.end();
+    };
+    const unsubscribe = statusFeed.subscribe(target, send);
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    const maxAge = setTimeout(() => send('end', { reason: 'timeout' }), STATUS_STREAM_MAX_MS);
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        clearTimeout(maxAge);
+        unsubscribe();
+    });
+});
+
+// API endpoint to look up an issued certificate by ID
+app.get('/api/certificates/:certId', (req, res) => {
+    const record = registry.get(req.params.certId);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    res.json({ success: true, data: publicCertificate(record), emailResend: mailer.enabled });
+});
+
+// API endpoint for a learner to get their certificate emailed again. Sends only to the address the
+// certificate was issued to, and answers the same whether or not { email } matches it.
+app.post('/api/certificates/:certId/email', async (req, res) => {
+    const record = registry.get(req.params.certId);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    const locale = record.locale || 'en';
+    if (!mailer.enabled) {
+        return res.status(503).json({ success: false, message: i18n.t(locale, 'complete.resendUnavailable') });
+    }
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ success: false, message: i18n.t(locale, 'complete.resendInvalid') });
+    }
+    const limited = resendLimiter.hit({ ip: req.ip, certificateId: record.certificateId });
+    if (limited) {
+        console.log(`[${req._reqId}] Email resend limited (${limited.key}, retry in ${limited.retryAfterMs}ms)`);
+        return sendRateLimited(res, locale, limited, 'complete.resendLimited');
+    }
+    try {
+        const matches = Boolean(record.email) && email.toLowerCase() === record.email.toLowerCase();
+        // Not uploaded yet: the address on file gets the email once it is
+        if (matches && record.fileHash) {
+            await mailer.send({ certificateId: record.certificateId, to: record.email, reason: 'resend' });
+        }
+        console.log(`[${req._reqId}] Email resend for ${record.certificateId}: address ${matches ? 'matches' : 'does not match'}`);
+        res.json({ success: true, message: i18n.t(locale, 'complete.resendQueued') });
+    } catch (error) {
+        console.error('Learner email resend error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to queue email', error: error.message });
+    }
+});
+
+// API endpoint to look up an issued certificate by file hash (upload hash or SHA-256)
+app.get('/api/certificates/by-hash/:hash', (req, res) => {
+    const record = registry.findByHash(req.params.hash);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    res.json({ success: true, data: publicCertificate(record) });
+});
+
+// API endpoint to download one rendered format of a certificate (png, pdf or svg)
+app.get('/api/certificates/:certId/download/:format', async (req, res) => {
+    const record = registry.get(req.params.certId);
+    const format = OUTPUT_FORMATS[req.params.format] ? req.params.format : null;
+    if (!record || !format || !(record.formats || ['png']).includes(format)) {
+        return res.status(404).json({ success: false, message: 'Certificate format not found' });
+    }
+    const { extension, contentType } = OUTPUT_FORMATS[format];
+    try {
+        const buffer = await fs.readFile(path.join(DOWNLOADS_DIR, record.certificateId, `${record.certificateId}.${extension}`));
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="certificate-${record.certificateId}.${extension}"`);
+        res.send(buffer);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            return res.status(500).json({ success: false, message: 'Failed to read certificate', error: e.message });
+        }
+        // Certificates issued before downloads were kept: the uploaded primary file is still available
+        if (format === (record.primaryFormat || 'png') && record.fileHash) {
+            return res.redirect(provider.fileUrl(record.fileHash));
+        }
+        res.status(404).json({ success: false, message: 'Certificate format not found' });
+    }
+});
+
+// API endpoint to download a certificate's signed Open Badges 3.0 credential (JSON)
+app.get('/api/certificates/:certId/credential', async (req, res) => {
+    const record = registry.get(req.params.certId);
+    if (!record || !record.credentialSha256) {
+        return res.status(404).json({ success: false, message: 'Credential not found' });
+    }
+    try {
+        const json = await fs.readFile(path.join(DOWNLOADS_DIR, record.certificateId, credentialFilename(record.certificateId)));
+        res.set('Content-Type', 'application/json; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="badge-${record.certificateId}.json"`);
+        res.send(json);
+    } catch (e) {
+        if (e.code === 'ENOENT' && record.credentialHash) {
+            return res.redirect(provider.fileUrl(record.credentialHash));
+        }
+        res.status(e.code === 'ENOENT' ? 404 : 500).json({ success: false, message: 'Failed to read credential', error: e.message });
+    }
+});
+
+// Provider lookups report an unknown hash as HTTP 404 (axios error or error.status)
+function isNotFound(error) {
+    return (error.status || (error.response && error.response.status)) === 404;
+}
+
+// Blockchain details for the verify page from a provider file-status payload
+function stampDetails(status, fallbackStampedAt) {
+    const d = status && status.data ? status.data : {};
+    const transactionId = transactionIdOf(status);
+    return {
+        stamped: Boolean(transactionId),
+        transactionId,
+        contract: d.contract || null,
+        network: d.network || null,
+        stampedAt: d.created ? new Date(d.created * 1000).toISOString() : (fallbackStampedAt || null)
+    };
+}
+
+// Check a registry record against its collection via the provider's file-status lookup.
+// Returns { verified, message, certificate, verifyUrl, stamp }; provider outages throw.
+async function verifyRecord(record) {
+    const result = {
+        verified: false,
+        message: '',
+        certificate: publicCertificate(record),
+        verifyUrl: verifyUrl(record.certificateId),
+        stamp: null
+    };
+    if (record.status === 'upload_failed') {
+        result.message = 'This certificate was never published to its collection.';
+        return result;
+    }
+    if (!record.fileHash) {
+        result.message = 'This certificate is still being published. Check again in a few minutes.';
+        return result;
+    }
+    let status;
+    try {
+        status = await provider.getFileStatus(record.collection, record.fileHash);
+    } catch (e) {
+        if (!isNotFound(e)) throw e;
+        result.message = `The certificate file was not found in the "${record.collection}" collection.`;
+        return result;
+    }
+    result.verified = true;
+    result.stamp = stampDetails(status, record.stampedAt);
+    if (result.stamp.stamped && awaitsStampConfirmation(record)) {
+        await stampScheduler.markStamped(record.certificateId);
+    }
+    result.message = result.stamp.stamped
+        ? 'This certificate is genuine and its collection has been stamped on the blockchain.'
+        : 'This certificate is genuine. Its blockchain stamp is still pending.';
+    return result;
+}
+
+// API endpoint to verify a certificate by ID (used by /verify/:certId)
+app.get('/api/verify/:certId', async (req, res) => {
+    const record = registry.get(req.params.certId);
+    if (!record) {
+        return res.status(404).json({ success: false, verified: false, message: 'No certificate with this ID was issued here.' });
+    }
+    try {
+        res.json({ success: true, ...(await verifyRecord(record)) });
+    } catch (error) {
+        console.error(`[${req._reqId}] Verification of ${record.certificateId} failed: ${error.message}`);
+        res.status(502).json({ success: false, message: 'Could not reach the credential backend', error: error.message });
+    }
+});
+
+// Registry record for an Open Badges credential (JSON) with a valid signature by this issuer, or null
+function signedCredentialRecord(buffer) {
+    if (!badges.enabled) return null;
+    let credential;
+    try {
+        credential = JSON.parse(buffer.toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!credential || !credential.proof || String(credential.proof.verificationMethod).split('#')[0] !== badges.issuer.id) return null;
+    if (!verifyCredential(credential)) return null;
+    return registry.list().find((r) => r.credentialSha256 && credentialUrl(r.certificateId) === credential.id) || null;
+}
 
+// API endpoint to verify an uploaded certificate file (raw PNG/PDF/SVG body, or the Open Badges JSON).
+// The file is matched by SHA-256 against every issued format, or by content hash against the quiz collections.
+app.post('/api/verify', express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+    const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!buffer || buffer.length === 0) {
+        return res.status(400).json({ success: false, message: 'Upload a certificate file as the request body' });
+    }
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const cid = computeCid(buffer);
+    try {
+        const record = registry.findByHash(sha256) || registry.findByHash(cid);
+        if (record) {
+            const matchedFormat = Object.keys(record.formatHashes || {}).find((f) => record.formatHashes[f] === sha256)
+                || ([record.credentialSha256, record.credentialHash].includes(sha256) || record.credentialHash === cid ? 'credential' : null)
+                || record.primaryFormat || 'png';
+            return res.json({ success: true, matchedFormat, sha256, ...(await verifyRecord(record)) });
+        }
+
+        // A credential re-saved by a wallet no longer matches byte for byte: check its signature instead
+        const credentialRecord = signedCredentialRecord(buffer);
+        if (credentialRecord) {
+            return res.json({ success: true, matchedFormat: 'credential', sha256, ...(await verifyRecord(credentialRecord)) });
+        }
+
+        // Not issued by this server (or issued before the registry existed): look the file up in each collection
+        for (const collection of new Set([...quizzes.values()].map((q) => q.collection))) {
+            try {
+                const stamp = stampDetails(await provider.getFileStatus(collection, cid));
+                return res.json({
+                    success: true,
+                    verified: true,
+                    message: `This file is in the "${collection}" collection${stamp.stamped ? ' and has been stamped on the blockchain' : ''}.`,
+                    certificate: null,
+                    sha256,
+                    fileHash: cid,
+                    collection,
+                    stamp
+                });
+            } catch (e) {
+                if (!isNotFound(e)) throw e;
+            }
+        }
         res.json({
             success: true,
-            data: data
+            verified: false,
+            sha256,
+            message: 'This file does not match any certificate issued here. It may have been altered or re-saved.'
         });
+    } catch (error) {
+        console.error(`[${req._reqId}] File verification failed: ${error.message}`);
+        res.status(502).json({ success: false, message: 'Could not reach the credential backend', error: error.message });
+    }
+});
 
+// Quiz listing entry for the admin console, with attempt and certificate counts
+function adminQuizSummary(quiz) {
+    const stats = summarizeAttempts(quiz, attemptLog.list({ quiz: quiz.slug }));
+    return {
+        ...summarizeQuiz(quiz),
+        file: path.relative(__dirname, quiz.file),
+        bankSize: quiz.questions.length,
+        attempts: stats.attempts,
+        passed: stats.passed,
+        passRate: stats.passRate,
+        averagePercent: stats.averagePercent,
+        certificates: registry.list().filter((r) => r.quiz === quiz.slug).length
+    };
+}
+
+// Write a quiz file in one step, so a reader never sees half of it
+async function writeQuizFile(filePath, source) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify(source, null, 4)}\n`, 'utf8');
+    await fs.rename(tmpPath, filePath);
+}
+
+// Operator endpoint listing every quiz in the catalog
+app.get('/api/admin/quizzes', requireAdmin, (req, res) => {
+    res.json({ success: true, defaultQuiz: DEFAULT_QUIZ_SLUG, quizzes: [...quizzes.values()].map(adminQuizSummary) });
+});
+
+// Operator endpoint returning a quiz file as stored (for editing)
+app.get('/api/admin/quizzes/:slug', requireAdmin, async (req, res) => {
+    const quiz = quizzes.get(req.params.slug);
+    if (!quiz) {
+        return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+    try {
+        const source = JSON.parse(await fs.readFile(quiz.file, 'utf8'));
+        res.json({ success: true, quiz: adminQuizSummary(quiz), source });
     } catch (error) {
-        console.error('File status check error:', error.message);
-        res.status(500).json({
+        res.status(500).json({ success: false, message: 'Failed to read quiz file', error: error.message });
+    }
+});
+
+// Operator endpoint to replace a quiz. The body is the whole quiz file; it is validated like the
+// catalog does at startup and takes effect immediately (attempts in progress keep their questions).
+app.put('/api/admin/quizzes/:slug', requireAdmin, async (req, res) => {
+    const current = quizzes.get(req.params.slug);
+    if (!current) {
+        return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+    const { quiz, errors } = compileQuiz(req.body, current.file, { collection: DEFAULT_COLLECTION });
+    if (errors.length === 0 && quiz.slug !== current.slug) {
+        errors.push(`"slug" cannot change (was "${current.slug}", now "${quiz.slug}")`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Quiz is invalid', errors });
+    }
+    try {
+        await writeQuizFile(current.file, req.body);
+        quizzes.set(quiz.slug, quiz);
+        console.log(`[quiz] Updated ${current.file} from the admin console (questions: ${quiz.questions.length})`);
+        res.json({ success: true, quiz: adminQuizSummary(quiz) });
+    } catch (error) {
+        console.error('Quiz update error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to save quiz', error: error.message });
+    }
+});
+
+// Operator endpoint to add a quiz as QUIZZES_DIR/<slug>.json (slug from "slug" or the title)
+app.post('/api/admin/quizzes', requireAdmin, async (req, res) => {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : null;
+    const slug = body ? slugify(String(body.slug || body.title || '')) : '';
+    if (!slug) {
+        return res.status(400).json({ success: false, message: 'Quiz is invalid', errors: ['a "slug" or "title" is required'] });
+    }
+    const filePath = path.join(QUIZZES_DIR, `${slug}.json`);
+    const { quiz, errors } = compileQuiz(body, filePath, { collection: DEFAULT_COLLECTION });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Quiz is invalid', errors });
+    }
+    if (quizzes.has(quiz.slug) || await fs.access(filePath).then(() => true, () => false)) {
+        return res.status(409).json({ success: false, message: `A quiz with slug "${quiz.slug}" already exists` });
+    }
+    try {
+        await fs.mkdir(QUIZZES_DIR, { recursive: true });
+        await writeQuizFile(filePath, body);
+        quizzes.set(quiz.slug, quiz);
+        console.log(`[quiz] Added ${filePath} from the admin console`);
+        res.status(201).json({ success: true, quiz: adminQuizSummary(quiz) });
+    } catch (error) {
+        console.error('Quiz create error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to save quiz', error: error.message });
+    }
+});
+
+// Operator endpoint with attempt statistics for a quiz: totals, per-question failure rates and recent attempts
+app.get('/api/admin/quizzes/:slug/stats', requireAdmin, (req, res) => {
+    const quiz = quizzes.get(req.params.slug);
+    if (!quiz) {
+        return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+    const attempts = attemptLog.list({ quiz: quiz.slug });
+    res.json({
+        success: true,
+        ...summarizeAttempts(quiz, attempts),
+        recent: attempts.slice(0, 50).map(({ questions, ...attempt }) => attempt)
+    });
+});
+
+// Files of each collection by hash ({ error } when the listing failed)
+async function collectionListings(collections) {
+    const result = new Map();
+    for (const collection of collections) {
+        try {
+            const files = await listings.list(collection);
+            result.set(collection, { files: new Map(files.map((f) => [f.hash, f])) });
+        } catch (e) {
+            console.warn(`[admin] Could not list collection "${collection}": ${e.message}`);
+            result.set(collection, { error: e.message });
+        }
+    }
+    return result;
+}
+
+// Operator endpoint listing issued certificates (?quiz=, ?status=, ?collection=, ?limit=) with their
+// stamp status as the collection itself reports it
+app.get('/api/admin/certificates', requireAdmin, async (req, res) => {
+    const { quiz, status, collection } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '200', 10) || 200, 1000);
+    const matching = registry.list()
+        .filter((r) => (!quiz || r.quiz === quiz) && (!status || r.status === status) && (!collection || r.collection === collection))
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    const records = matching.slice(0, limit);
+    const collectionFiles = await collectionListings(new Set(records.map((r) => r.collection)));
+    res.json({
+        success: true,
+        total: matching.length,
+        certificates: records.map((record) => {
+            const listing = collectionFiles.get(record.collection);
+            const file = listing.files && record.fileHash ? listing.files.get(record.fileHash) : null;
+            return {
+                ...publicCertificate(record),
+                source: record.source || 'quiz',
+                email: record.email || null,
+                emailedAt: record.emailedAt || null,
+                error: record.error || null,
+                stamp: stampScheduler.stampState(record),
+                inCollection: listing.error ? null : Boolean(file),
+                collectionStamped: file ? Boolean(file.is_stamped) : null,
+                collectionStampedAt: file ? file.stamped_at || null : null
+            };
+        })
+    });
+});
+
+// Operator endpoint with one certificate's admin view and claim URL (polled by the bulk issuance CLI)
+app.get('/api/admin/certificates/:certId', requireAdmin, async (req, res) => {
+    const record = registry.get(req.params.certId);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    res.json({
+        success: true,
+        certificate: {
+            ...publicCertificate(record),
+            source: record.source || 'quiz',
+            sha256: record.sha256 || null,
+            error: record.error || null,
+            stamp: stampScheduler.stampState(record),
+            claimUrl: await claimUrlOf(record)
+        }
+    });
+});
+
+// One certificate rendered by the bulk issuance CLI, checked before anything is stored; returns the
+// decoded files or an error message
+function importedCertificate(item) {
+    if (!item || typeof item !== 'object') return { error: 'not an object' };
+    if (typeof item.certificateId !== 'string' || !/^\d+-[0-9a-f]{8}$/.test(item.certificateId)) return { error: 'invalid certificateId' };
+    if (registry.get(item.certificateId)) return { error: 'certificateId already exists' };
+    if (typeof item.name !== 'string' || sanitizeUserName(item.name) !== item.name) return { error: 'invalid name' };
+    if (typeof item.quizTitle !== 'string' || !item.quizTitle.trim()) return { error: 'quizTitle is required' };
+    if (typeof item.collection !== 'string' || !item.collection.trim()) return { error: 'collection is required' };
+    if (item.quiz !== null && item.quiz !== undefined && !quizzes.has(item.quiz)) return { error: `unknown quiz "${item.quiz}"` };
+    const formats = Array.isArray(item.formats) ? item.formats : [];
+    if (formats.length === 0 || formats.some((f) => !OUTPUT_FORMATS[f]) || !formats.includes(item.primaryFormat)) {
+        return { error: 'invalid formats or primaryFormat' };
+    }
+    const files = {};
+    for (const format of formats) {
+        const data = item.files && item.files[format];
+        if (typeof data !== 'string' || !data) return { error: `missing ${format} file` };
+        files[format] = Buffer.from(data, 'base64');
+    }
+    if (item.credential !== null && item.credential !== undefined && typeof item.credential !== 'string') return { error: 'credential must be a JSON string' };
+    return { files };
+}
+
+// Operator endpoint for the bulk issuance CLI while the server holds DATA_DIR: takes rendered certificates
+// ({ certificates: [{ certificateId, name, quiz, quizTitle, locale, template, collection, formats,
+// primaryFormat, files: { <format>: base64 }, credential }] }), records and stores them like a quiz
+// issuance and queues their upload; the stamp scheduler stamps them. Answers one result per certificate.
+app.post('/api/admin/certificates/import', requireAdmin, async (req, res) => {
+    const items = req.body && Array.isArray(req.body.certificates) ? req.body.certificates : null;
+    if (!items || items.length === 0) {
+        return res.status(400).json({ success: false, message: 'certificates must be a non-empty array' });
+    }
+    const results = [];
+    for (const item of items) {
+        const certificateId = item && item.certificateId;
+        const checked = importedCertificate(item);
+        if (checked.error) {
+            results.push({ certificateId, status: 'invalid', error: checked.error });
+            continue;
+        }
+        const quiz = item.quiz || null;
+        const existing = DEDUPE_CERTIFICATES
+            ? registry.list().find((r) => r.status !== 'upload_failed' && r.collection === item.collection &&
+                dedupeKey(r.quiz, r.name) === dedupeKey(quiz, item.name) && (quiz || r.quizTitle === item.quizTitle))
+            : null;
+        if (existing) {
+            results.push({ certificateId, status: 'existing', certificate: { ...publicCertificate(existing), sha256: existing.sha256 || null } });
+            continue;
+        }
+        const { files } = checked;
+        const badge = item.credential ? { json: item.credential } : null;
+        try {
+            await storeDownloads(certificateId, files, badge);
+            await registry.create({
+                certificateId,
+                status: 'queued',
+                source: 'bulk',
+                name: item.name,
+                quiz,
+                quizTitle: item.quizTitle,
+                locale: item.locale || 'en',
+                score: null,
+                template: item.template || 'inline',
+                collection: item.collection,
+                formats: item.formats,
+                primaryFormat: item.primaryFormat,
+                ...certificateHashes(files, item.primaryFormat),
+                ...(badge ? { credentialSha256: crypto.createHash('sha256').update(badge.json).digest('hex') } : {})
+            });
+            await outbox.enqueue({
+                certificateId,
+                quiz,
+                collection: item.collection,
+                buffer: files[item.primaryFormat],
+                filename: `${certificateId}.${OUTPUT_FORMATS[item.primaryFormat].extension}`,
+                contentType: OUTPUT_FORMATS[item.primaryFormat].contentType,
+                credential: badge ? { buffer: Buffer.from(badge.json, 'utf8'), filename: credentialFilename(certificateId), contentType: 'application/json' } : null
+            });
+            results.push({ certificateId, status: 'queued' });
+        } catch (error) {
+            console.error(`[${req._reqId}] Import of ${certificateId} failed: ${error.message}`);
+            results.push({ certificateId, status: 'failed', error: error.message });
+        }
+    }
+    console.log(`[${req._reqId}] Imported ${results.filter((r) => r.status === 'queued').length} of ${items.length} bulk certificate(s)`);
+    res.json({ success: true, results });
+});
+
+// Collections the server issues to: every quiz collection plus any in the registry
+function knownCollections() {
+    return new Set([...[...quizzes.values()].map((q) => q.collection), ...registry.list().map((r) => r.collection)]);
+}
+
+// Operator endpoint listing collections with certificate counts per status and the collection's own file counts
+app.get('/api/admin/collections', requireAdmin, async (req, res) => {
+    const names = [...knownCollections()];
+    const collectionFiles = await collectionListings(names);
+    res.json({
+        success: true,
+        collections: names.map((name) => {
+            const statuses = {};
+            for (const record of registry.list()) {
+                if (record.collection === name) statuses[record.status] = (statuses[record.status] || 0) + 1;
+            }
+            const listing = collectionFiles.get(name);
+            const files = listing.files ? [...listing.files.values()] : null;
+            return {
+                name,
+                certificates: statuses,
+                files: files ? files.length : null,
+                unstampedFiles: files ? files.filter((f) => !f.is_stamped).length : null,
+                error: listing.error || null
+            };
+        })
+    });
+});
+
+// Operator endpoint to stamp a collection now, outside the batch schedule
+app.post('/api/admin/collections/:name/stamp', requireAdmin, async (req, res) => {
+    const collection = req.params.name;
+    if (!knownCollections().has(collection)) {
+        return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    try {
+        await stampScheduler.stampNow(collection);
+        listings.invalidate(collection);
+        res.json({ success: true, message: `Stamp requested for "${collection}"` });
+    } catch (error) {
+        console.error('Stamp re-trigger error:', error.message);
+        res.status(502).json({ success: false, message: 'Stamp request failed', error: error.message });
+    }
+});
+
+// Operator endpoint to list outbox jobs (?state=pending|running|done|failed)
+app.get('/api/admin/outbox', requireAdmin, (req, res) => {
+    const state = req.query.state ? String(req.query.state) : undefined;
+    res.json({ success: true, jobs: outbox.list({ state }) });
+});
+
+// Operator endpoint to replay a failed outbox job
+app.post('/api/admin/outbox/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const job = await outbox.replay(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Outbox replay error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to replay job', error: error.message });
+    }
+});
+
+// Operator endpoint listing webhook endpoints and deliveries with their attempt logs (?state=, ?event=, ?endpoint=)
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+    const state = req.query.state ? String(req.query.state) : undefined;
+    const deliveries = webhooks.list({ state }).filter((job) =>
+        (!req.query.event || job.payload.type === req.query.event) &&
+        (!req.query.endpoint || job.payload.endpointId === req.query.endpoint));
+    res.json({ success: true, endpoints: webhooks.endpoints, deliveries });
+});
+
+// Operator endpoint to redeliver a failed webhook
+app.post('/api/admin/webhooks/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const job = await webhooks.replay(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Webhook replay error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to replay delivery', error: error.message });
+    }
+});
+
+// Operator endpoint listing queued xAPI statement batches (?state=pending|running|done|failed)
+app.get('/api/admin/xapi', requireAdmin, (req, res) => {
+    const state = req.query.state ? String(req.query.state) : undefined;
+    res.json({ success: true, enabled: xapi.enabled, jobs: xapi.list({ state }) });
+});
+
+// Operator endpoint to resend a failed xAPI statement batch
+app.post('/api/admin/xapi/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const job = await xapi.replay(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('xAPI replay error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to replay job', error: error.message });
+    }
+});
+
+// Operator endpoint to email a certificate again, optionally to a new address ({ email })
+app.post('/api/admin/certificates/:certId/resend-email', requireAdmin, async (req, res) => {
+    const record = registry.get(req.params.certId);
+    if (!record) {
+        return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    if (!mailer.enabled) {
+        return res.status(503).json({ success: false, message: 'Email is not configured (SMTP_URL not set)' });
+    }
+    const email = req.body && req.body.email !== undefined ? normalizeEmail(req.body.email) : record.email;
+    if (!email) {
+        return res.status(email === null ? 400 : 409).json({
             success: false,
-            message: 'Failed to get file status',
-            error: error.message
+            message: email === null ? 'Invalid email address' : 'Certificate has no email address; pass { "email": "..." }'
         });
     }
+    if (!record.fileHash) {
+        return res.status(409).json({ success: false, message: `Certificate is not uploaded yet (status: ${record.status})` });
+    }
+    try {
+        if (email !== record.email) await registry.update(record.certificateId, { email });
+        const job = await mailer.send({ certificateId: record.certificateId, to: email, reason: 'resend' });
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Email resend error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to queue email', error: error.message });
+    }
+});
+
+// Operator endpoint listing certificate emails (?state=pending|running|done|failed)
+app.get('/api/admin/mail', requireAdmin, (req, res) => {
+    const state = req.query.state ? String(req.query.state) : undefined;
+    res.json({ success: true, enabled: mailer.enabled, jobs: mailer.list({ state }) });
+});
+
+// Operator endpoint to retry a failed certificate email
+app.post('/api/admin/mail/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const job = await mailer.replay(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Mail replay error:', error.message);
+        res.status(500).json({ success: false, message: 'Failed to replay job', error: error.message });
+    }
 });
 
+// Files stored by the local provider (the chainletter provider serves files from the IPFS gateway)
+if (provider.readFile) {
+    app.get('/local-files/:hash', async (req, res) => {
+        try {
+            const file = await provider.readFile(req.params.hash);
+            if (!file) {
+                return res.status(404).send('File not found');
+            }
+            res.set('Content-Type', file.contentType);
+            res.set('Cache-Control', 'public, max-age=31536000, immutable');
+            res.send(file.buffer);
+        } catch (error) {
+            console.error('Local file read error:', error.message);
+            res.status(500).send('Failed to read file');
+        }
+    });
+}
+
 // Removed /ipfs proxy route; clients should use Pinata gateway URLs directly
 
-app.listen(PORT, () => {
+// The bulk issuance script writes the same files; only one of them may use DATA_DIR at a time
+try {
+    acquireDataLock(DATA_DIR, 'server');
+} catch (e) {
+    console.error(`[lock] ${e.message}`);
+    process.exit(1);
+}
+// Exit normally on Ctrl-C / docker stop so the lock is released
+for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => process.exit(0));
+
+registry.load().catch((e) => {
+    console.error(`[registry] Failed to load certificate registry: ${e.message}`);
+}).then(() => attemptLog.load()).then(() => outbox.load()).then(() => webhooks.load()).then(() => xapi.load()).then(() => mailer.load()).then(() => app.listen(PORT, () => {
+    stampScheduler.restore();
+    outbox.start();
+    webhooks.start();
+    xapi.start();
+    mailer.start();
     console.log(`Quiz Certificate Demo running on port http://localhost:${PORT}`);
+    console.log(`Credential provider: ${provider.name}`);
     console.log(`API Key: ${API_KEY ? 'Configured' : 'Missing'}`);
     console.log(`API Secret: ${API_SECRET ? 'Configured' : 'Missing'}`);
     console.log(`Network: ${API_NETWORK}`);
+    console.log(`xAPI LRS: ${xapi.enabled ? process.env.XAPI_ENDPOINT : 'not configured'}`);
+    console.log(`Open Badges issuer: ${badges.enabled ? badges.issuer.id : 'not configured (set OB_SIGNING_KEY or OB_SIGNING_KEY_FILE)'}`);
+    console.log(`Email: ${mailer.enabled ? `via ${new URL(process.env.SMTP_URL).host}` : 'not configured'}`);
+    console.log(`Webhook endpoints: ${webhooks.endpoints.map((e) => e.id).join(', ') || 'none'}`);
     console.log(`Certificate font family: ${CERT_FONT_FAMILY}`);
     // Basic runtime font check hint
     console.log('If certificate text appears as boxes, install system fonts and fontconfig. On Alpine run: npm run fix:fonts');
-}); 
\ No newline at end of file
+})); 
\ No newline at end of file
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseCsvRecords, toCsv } = require('../lib/csv');
+
+test('quoted fields keep commas, escaped quotes and line breaks', () => {
+    assert.deepStrictEqual(parseCsv('name,note\n"Hopper, Grace","said ""hi""\nthen left"\n'), [
+        ['name', 'note'],
+        ['Hopper, Grace', 'said "hi"\nthen left']
+    ]);
+});
+
+test('a quote inside an unquoted field is rejected', () => {
+    assert.throws(() => parseCsv('name,title\nAda "The Countess" Lovelace,Math\n'), /quote inside an unquoted field on line 2/);
+});
+
+test('text after a closing quote is rejected', () => {
+    assert.throws(() => parseCsv('name\r\n"Ada"Lovelace\r\n'), /after a quoted field on line 2/);
+});
+
+test('spaces around a quoted field are ignored', () => {
+    const { records } = parseCsvRecords('name, course\nAda, "Math, Advanced" \n');
+    assert.deepStrictEqual(records, [{ name: 'Ada', course: 'Math, Advanced' }]);
+});
+
+test('toCsv output parses back to the same values', () => {
+    const records = [{ name: 'Ada "Countess" Lovelace', error: 'a, b\nc' }];
+    assert.deepStrictEqual(parseCsvRecords(toCsv(['name', 'error'], records)).records, records);
+});
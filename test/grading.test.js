@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gradeAnswers } = require('../lib/grading');
+
+// Two single-choice questions worth `right` and `wrong` points; the first answered correctly
+function grade(right, wrong, options) {
+    const served = [
+        { question: { options: ['a', 'b'], correct: 0, points: right }, optionOrder: [0, 1] },
+        { question: { options: ['a', 'b'], correct: 0, points: wrong }, optionOrder: [0, 1] }
+    ];
+    return gradeAnswers(served, [0, 1], options);
+}
+
+test('a score just below the threshold fails and is not shown as reaching it', () => {
+    const result = grade(7996, 2004, { passThreshold: 80 });
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.percent, 79.9);
+});
+
+test('a score exactly at the threshold passes and is shown as the threshold', () => {
+    const result = grade(8000, 2000, { passThreshold: 80 });
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(result.percent, 80);
+});
+
+test('partial credit that sums to the threshold passes despite float error', () => {
+    // Three partial-credit questions each earning a third of their point: exactly a third of the total
+    const third = { type: 'multi', options: ['a', 'b', 'c', 'd'], correct: [0, 1, 2], partialCredit: true };
+    const served = [
+        { question: third, optionOrder: [0, 1, 2, 3] },
+        { question: third, optionOrder: [0, 1, 2, 3] },
+        { question: third, optionOrder: [0, 1, 2, 3] }
+    ];
+    const result = gradeAnswers(served, [[0], [0], [0]], { passThreshold: 100 / 3 });
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(result.percent, 33.3);
+    assert.strictEqual(result.earned, 1);
+});
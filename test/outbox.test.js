@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { createCertificateRegistry } = require('../lib/registry');
+const { createIssuanceOutbox } = require('../lib/outbox');
+
+test('a certificate whose upload cannot be queued becomes upload_failed', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-test-'));
+    try {
+        const registry = createCertificateRegistry({ filePath: path.join(dir, 'certificates.jsonl') });
+        await registry.load();
+        // A file where the outbox directory should be, so storing the rendered file fails
+        const filesDir = path.join(dir, 'outbox');
+        await fs.writeFile(filesDir, '');
+        const outbox = createIssuanceOutbox({
+            filePath: path.join(dir, 'outbox.json'),
+            filesDir,
+            provider: {},
+            registry
+        });
+        await registry.create({ certificateId: 'cert-1', status: 'queued', quiz: 'quiz', name: 'Ada' });
+
+        await assert.rejects(outbox.enqueue({
+            certificateId: 'cert-1',
+            quiz: 'quiz',
+            collection: 'Collection',
+            buffer: Buffer.from('png'),
+            filename: 'cert-1.png',
+            contentType: 'image/png'
+        }));
+
+        assert.strictEqual(registry.get('cert-1').status, 'upload_failed');
+        assert.match(registry.get('cert-1').error, /Could not queue upload/);
+        // Not handed back as an existing certificate, so the learner can be issued a new one
+        assert.strictEqual(registry.findIssued('quiz', 'Ada'), null);
+        assert.strictEqual(outbox.get('cert-1'), null);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStampScheduler } = require('../lib/stamp-scheduler');
+
+// In-memory registry with the calls the scheduler makes
+function memoryRegistry(records) {
+    const byId = new Map(records.map((r) => [r.certificateId, { ...r }]));
+    return {
+        list: () => [...byId.values()],
+        get: (id) => byId.get(id) || null,
+        update: async (id, patch) => {
+            const record = { ...byId.get(id), ...patch };
+            byId.set(id, record);
+            return record;
+        }
+    };
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = setInterval(() => {
+            if (predicate()) {
+                clearInterval(poll);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(poll);
+                reject(new Error('Timed out'));
+            }
+        }, 5);
+    });
+}
+
+test('a stamp that is never confirmed becomes stamp_unconfirmed and stampNow retries it', async () => {
+    const registry = memoryRegistry([
+        { certificateId: 'cert-1', collection: 'C', status: 'stamp_requested', fileHash: 'h1' }
+    ]);
+    let stampedUpstream = false;
+    let stampRequests = 0;
+    const provider = {
+        listCollectionFiles: async () => [{ hash: 'h1', is_stamped: stampedUpstream }],
+        stampCollection: async () => {
+            stampRequests++;
+            stampedUpstream = true;
+        }
+    };
+    const scheduler = createStampScheduler({
+        provider,
+        registry,
+        intervalMs: 1000,
+        batchSize: 10,
+        confirmDelayMs: 1,
+        maxConfirmChecks: 3,
+        retryMaxMs: 5
+    });
+
+    scheduler.restore();
+    await waitFor(() => registry.get('cert-1').status === 'stamp_unconfirmed');
+    assert.strictEqual(scheduler.stampState(registry.get('cert-1')).state, 'stamp_unconfirmed');
+
+    await scheduler.stampNow('C');
+    assert.strictEqual(stampRequests, 1);
+    await waitFor(() => registry.get('cert-1').status === 'stamped');
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyTemplatePlaceholders } = require('../lib/templates');
+
+test('replacement patterns in values are filled in as typed', () => {
+    const svg = '<svg><text>##FOOTER##</text><text>##INSTRUCTOR##</text></svg>';
+    const filled = applyTemplatePlaceholders(svg, { FOOTER: 'Fee: $$5 ($&)', INSTRUCTOR: 'Ada $1 & co' });
+    assert.strictEqual(filled, '<svg><text>Fee: $$5 ($&amp;)</text><text>Ada $1 &amp; co</text></svg>');
+});
+
+test('values of fitted fields keep replacement patterns too', () => {
+    const svg = '<svg><text x="0">##COURSE_TITLE##</text></svg>';
+    const filled = applyTemplatePlaceholders(svg, { COURSE_TITLE: "Cost $' and $`" }, { COURSE_TITLE: { maxWidth: 10000 } });
+    assert.match(filled, /Cost \$&apos; and \$`<\/text>/);
+});